@@ -0,0 +1,174 @@
+import crypto from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { isAddress } from "ethers";
+import { listPinsOnIPFS, unpinFromIPFS } from "./ipfs.js";
+import { listPins } from "./pins.js";
+import { allHistories, historyForWallet, markUnpinned } from "./history.js";
+
+dotenv.config();
+
+// Pin lifecycle administration: list what is pinned, unpin, and apply a
+// retention policy that keeps the last N versions of every profile (with the
+// gig documents and images they reference) and unpins the rest.
+//
+// Every route needs the ADMIN_API_KEY header `x-admin-key`; without
+// ADMIN_API_KEY set the routes are disabled.
+
+// Versions of each profile kept by the retention policy unless asked otherwise
+const RETENTION_KEEP_VERSIONS = Number(process.env.RETENTION_KEEP_VERSIONS) || 3;
+
+// Middleware: reject requests without the admin key
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(403).json({ error: "❌ Admin routes are disabled (ADMIN_API_KEY is not set)" });
+  }
+
+  const given = Buffer.from(req.get("x-admin-key") || "");
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(401).json({ error: "❌ Invalid admin key" });
+  }
+  next();
+}
+
+// Everything a version keeps alive: its document, its gigs and its images
+function referencesOf(version) {
+  return [
+    { cid: version.cid, kind: "profile" },
+    ...(version.snapshot.gigs ?? []).filter((gig) => gig.cid).map((gig) => ({ cid: gig.cid, kind: "gig" })),
+    ...(version.snapshot.images ?? []).map((cid) => ({ cid, kind: "image" })),
+  ];
+}
+
+// Work out what a retention policy would unpin. Only the profiles of
+// `wallet` are trimmed when it is given, but anything still referenced by a
+// kept version of any profile is never removed.
+export function planRetention({ keep = RETENTION_KEEP_VERSIONS, wallet } = {}) {
+  const targeted = new Set((wallet ? historyForWallet(wallet) : allHistories()).map((entry) => entry.profileUrl));
+  const kept = new Set();
+  const dropped = [];
+
+  for (const entry of allHistories()) {
+    const pinned = entry.versions.filter((version) => !version.unpinnedAt);
+    const cut = targeted.has(entry.profileUrl) ? Math.max(pinned.length - keep, 0) : 0;
+
+    pinned.slice(cut).forEach((version) => referencesOf(version).forEach(({ cid }) => kept.add(cid)));
+    pinned.slice(0, cut).forEach((version) => dropped.push({ entry, version, of: pinned.length }));
+  }
+
+  const remove = new Map(); // { cid: item }
+  for (const { entry, version, of } of dropped) {
+    for (const { cid, kind } of referencesOf(version)) {
+      if (kept.has(cid) || remove.has(cid)) continue;
+      remove.set(cid, {
+        cid,
+        kind,
+        platform: entry.platform,
+        profileUrl: entry.profileUrl,
+        version: version.version,
+        reason: `version ${version.version} is older than the last ${keep} of ${of} pinned versions`,
+      });
+    }
+  }
+
+  return { keep, wallet: wallet ?? null, kept: kept.size, remove: Array.from(remove.values()) };
+}
+
+// Unpin everything in a retention plan. Returns the plan with the outcome of
+// each removal.
+export async function applyRetention(plan) {
+  const results = [];
+
+  for (const item of plan.remove) {
+    try {
+      const removedFrom = await unpinFromIPFS(item.cid);
+      if (item.kind === "profile") markUnpinned(item.cid);
+      results.push({ ...item, unpinned: true, removedFrom });
+    } catch (error) {
+      results.push({ ...item, unpinned: false, error: error.message, code: error.code ?? null });
+    }
+  }
+
+  return { ...plan, remove: results };
+}
+
+// Every CID tied to a wallet's profiles, with what it is
+function cidsForWallet(wallet) {
+  const cids = new Map(); // { cid: { kind, platform, profileUrl, version } }
+  for (const entry of historyForWallet(wallet)) {
+    for (const version of entry.versions) {
+      for (const { cid, kind } of referencesOf(version)) {
+        if (!cids.has(cid)) {
+          cids.set(cid, { kind, platform: entry.platform, profileUrl: entry.profileUrl, version: version.version, unpinnedAt: version.unpinnedAt ?? null });
+        }
+      }
+    }
+  }
+  return cids;
+}
+
+// Build the /admin/pins routes
+export function createAdminRouter() {
+  const router = express.Router();
+  router.use("/admin", requireAdmin);
+
+  // Pins on the storage provider: ?name= (metadata name) or ?wallet= (every
+  // version, gig and image of the wallet's profiles, from the local history)
+  router.get("/admin/pins", async (req, res) => {
+    const { name, wallet } = req.query;
+
+    if (wallet) {
+      if (!isAddress(wallet)) {
+        return res.status(400).json({ error: "❌ Invalid wallet address" });
+      }
+      const indexed = new Map(listPins().map((pin) => [pin.cid, pin]));
+      const pins = Array.from(cidsForWallet(wallet), ([cid, details]) => ({ cid, ...details, pin: indexed.get(cid) ?? null }));
+      return res.json({ success: true, total: pins.length, pins });
+    }
+
+    try {
+      const pins = await listPinsOnIPFS({ name });
+      return res.json({ success: true, total: pins.length, pins });
+    } catch (error) {
+      return res.status(502).json({ error: "❌ Failed to list pins", code: error.code ?? null });
+    }
+  });
+
+  // Unpin one CID everywhere it is stored
+  router.delete("/admin/pins/:cid", async (req, res) => {
+    try {
+      const removedFrom = await unpinFromIPFS(req.params.cid);
+      markUnpinned(req.params.cid);
+      return res.json({ success: true, cid: req.params.cid, removedFrom });
+    } catch (error) {
+      return res.status(502).json({ error: "❌ Failed to unpin", code: error.code ?? null });
+    }
+  });
+
+  // Apply the retention policy. Body: { keep, wallet, dryRun }. Dry run is
+  // the default: pass dryRun: false to actually unpin. keep: 1 unpins every
+  // superseded version.
+  router.post("/admin/pins/retention", async (req, res) => {
+    const { wallet, dryRun = true } = req.body ?? {};
+    const keep = req.body?.keep === undefined ? RETENTION_KEEP_VERSIONS : Number(req.body.keep);
+
+    if (!Number.isInteger(keep) || keep < 1) {
+      return res.status(400).json({ error: "❌ keep must be a whole number of at least 1" });
+    }
+    if (wallet && !isAddress(wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+
+    const plan = planRetention({ keep, wallet });
+    if (dryRun !== false) {
+      return res.json({ success: true, dryRun: true, ...plan });
+    }
+
+    const report = await applyRetention(plan);
+    return res.json({ success: report.remove.every((item) => item.unpinned), dryRun: false, ...report });
+  });
+
+  return router;
+}
@@ -0,0 +1,122 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR } from "./store.js";
+
+dotenv.config();
+
+// Per-job scrape diagnostics. Each job gets data/artifacts/<jobId>/ with, per
+// scraped page (label), a screenshot and the final HTML, plus the job's
+// browser console log and network log as JSON lines. Only the newest
+// ARTIFACT_RETENTION job directories are kept.
+
+export const ARTIFACTS_DIR = path.join(DATA_DIR, "artifacts");
+const ARTIFACT_RETENTION = Number(process.env.ARTIFACT_RETENTION) || 50;
+
+// Job ids are UUIDs; never let one escape the artifacts directory
+function jobDir(jobId) {
+  if (!/^[\w-]+$/.test(jobId)) throw new Error(`Invalid job id: ${jobId}`);
+  return path.join(ARTIFACTS_DIR, jobId);
+}
+
+// Keep the newest ARTIFACT_RETENTION job directories, delete the rest
+function pruneArtifacts() {
+  if (!fs.existsSync(ARTIFACTS_DIR)) return;
+
+  const dirs = fs
+    .readdirSync(ARTIFACTS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      const dir = path.join(ARTIFACTS_DIR, entry.name);
+      return { dir, mtime: fs.statSync(dir).mtimeMs };
+    })
+    .sort((a, b) => b.mtime - a.mtime);
+
+  for (const { dir } of dirs.slice(ARTIFACT_RETENTION)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Collects the artifacts of one job. Call attach() when a page opens,
+// snapshot() once it is done, and flush() when the job ends.
+export function createArtifactRecorder(jobId) {
+  const dir = jobDir(jobId);
+  const consoleLog = [];
+  const networkLog = [];
+
+  fs.rmSync(dir, { recursive: true, force: true }); // a re-run job starts clean
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    attach(page, label) {
+      page.on("console", (message) => {
+        consoleLog.push({ time: new Date().toISOString(), label, type: message.type(), text: message.text() });
+      });
+      page.on("pageerror", (error) => {
+        consoleLog.push({ time: new Date().toISOString(), label, type: "pageerror", text: error.message });
+      });
+      page.on("requestfinished", (request) => {
+        const response = request.response();
+        networkLog.push({
+          time: new Date().toISOString(),
+          label,
+          method: request.method(),
+          url: request.url(),
+          resourceType: request.resourceType(),
+          status: response ? response.status() : null,
+        });
+      });
+      page.on("requestfailed", (request) => {
+        networkLog.push({
+          time: new Date().toISOString(),
+          label,
+          method: request.method(),
+          url: request.url(),
+          resourceType: request.resourceType(),
+          failure: request.failure()?.errorText ?? "failed",
+        });
+      });
+    },
+
+    // Screenshot and HTML of the page as it is now. Never throws: a broken page
+    // is exactly when these are wanted, and failing here must not hide the
+    // original error.
+    async snapshot(page, label) {
+      try {
+        await page.screenshot({ path: path.join(dir, `${label}.png`), fullPage: true });
+      } catch (error) {
+        console.error(`⚠️ Could not save screenshot (${label}):`, error.message);
+      }
+      try {
+        fs.writeFileSync(path.join(dir, `${label}.html`), await page.content());
+      } catch (error) {
+        console.error(`⚠️ Could not save page HTML (${label}):`, error.message);
+      }
+    },
+
+    flush() {
+      const toJsonLines = (entries) => entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+      fs.writeFileSync(path.join(dir, "console.jsonl"), toJsonLines(consoleLog));
+      fs.writeFileSync(path.join(dir, "network.jsonl"), toJsonLines(networkLog));
+      pruneArtifacts();
+    },
+  };
+}
+
+// Files saved for a job, or null if it has none (or they were pruned)
+export function listArtifacts(jobId) {
+  const dir = jobDir(jobId);
+  if (!fs.existsSync(dir)) return null;
+
+  return fs.readdirSync(dir).map((name) => {
+    const stats = fs.statSync(path.join(dir, name));
+    return { name, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+  });
+}
+
+// Absolute path of one artifact, or null if the job has no such file
+export function getArtifactPath(jobId, name) {
+  const artifacts = listArtifacts(jobId);
+  if (!artifacts || !artifacts.some((artifact) => artifact.name === name)) return null;
+  return path.join(jobDir(jobId), name);
+}
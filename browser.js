@@ -0,0 +1,136 @@
+import puppeteer from "puppeteer-extra";
+import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Configure Puppeteer to avoid detection
+puppeteer.use(StealthPlugin());
+
+// Shared browser pool: one headless browser, with at most BROWSER_POOL_SIZE
+// isolated contexts (one per scrape) open at a time. Further requests wait for
+// a free slot.
+const config = {
+  poolSize: Number(process.env.BROWSER_POOL_SIZE) || 2,
+  executablePath: process.env.CHROME_EXECUTABLE_PATH || undefined,
+  headless: process.env.BROWSER_HEADLESS !== "false",
+  navigationTimeout: Number(process.env.BROWSER_NAV_TIMEOUT_MS) || 60000,
+  readyTimeout: Number(process.env.BROWSER_READY_TIMEOUT_MS) || 15000,
+  acquireTimeout: Number(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 120000,
+};
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36";
+
+let browserPromise = null;
+let activeContexts = 0;
+const waiting = []; // resolvers of callers waiting for a free slot
+
+// Launch the shared browser on first use, and again after a crash
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer
+      .launch({
+        headless: config.headless,
+        executablePath: config.executablePath,
+        args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+      })
+      .then((browser) => {
+        console.log("✅ Puppeteer launched successfully");
+        browser.on("disconnected", () => {
+          console.error("❌ Browser disconnected. It will be relaunched on the next scrape.");
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((error) => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+}
+
+function acquireSlot() {
+  if (activeContexts < config.poolSize) {
+    activeContexts++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = () => {
+      clearTimeout(timer);
+      activeContexts++;
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      reject(new Error(`Timed out after ${config.acquireTimeout}ms waiting for a free browser context`));
+    }, config.acquireTimeout);
+    waiting.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  activeContexts--;
+  const next = waiting.shift();
+  if (next) next();
+}
+
+async function openPage() {
+  const browser = await getBrowser();
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+  await page.setUserAgent(USER_AGENT);
+  page.setDefaultNavigationTimeout(config.navigationTimeout);
+  page.setDefaultTimeout(config.readyTimeout);
+  return { browser, context, page };
+}
+
+// Run `fn(page)` in a fresh, isolated browser context from the pool. If the
+// browser crashes mid-run the whole run is retried once on a relaunched
+// browser.
+export async function withPage(fn, { retries = 1 } = {}) {
+  await acquireSlot();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const { browser, context, page } = await openPage();
+      try {
+        return await fn(page);
+      } catch (error) {
+        if (browser.connected || attempt >= retries) throw error;
+        console.error("⚠️ Browser crashed during scrape, retrying on a new browser:", error.message);
+      } finally {
+        await context.close().catch(() => {});
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Navigate and wait until the page is actually ready instead of sleeping for
+// a fixed time: the network has settled and, if given, `readySelector` exists.
+export async function gotoAndWait(page, url, readySelector) {
+  await page.goto(url, { waitUntil: "networkidle2", timeout: config.navigationTimeout });
+
+  if (readySelector) {
+    try {
+      await page.waitForSelector(readySelector, { timeout: config.readyTimeout });
+    } catch {
+      // Extract what is there; missing fields come back as null
+      console.warn(`⚠️ Ready selector not found within ${config.readyTimeout}ms: ${readySelector}`);
+    }
+  }
+}
+
+// Close the shared browser (on shutdown)
+export async function closeBrowserPool() {
+  if (!browserPromise) return;
+  const browser = await browserPromise.catch(() => null);
+  browserPromise = null;
+  if (browser) {
+    await browser.close();
+    console.log("🛑 Browser closed.");
+  }
+}
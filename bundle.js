@@ -0,0 +1,368 @@
+import express from "express";
+import axios from "axios";
+import dotenv from "dotenv";
+import { isAddress } from "ethers";
+import { CarReader, CarWriter } from "@ipld/car";
+import { exporter } from "ipfs-unixfs-exporter";
+import { sha256 } from "multiformats/hashes/sha2";
+import { equals } from "multiformats/bytes";
+import { StorageError, importBytes, cidForBytes } from "./storage.js";
+import { fetchFromIPFS, storeDataOnIPFS, storeFileOnIPFS } from "./ipfs.js";
+import { historyForWallet, recordVersion } from "./history.js";
+import { requireSession } from "./siwe.js";
+import { findOwnershipProof } from "./ownership.js";
+import { validateProfile, validateGig } from "./profile.js";
+
+dotenv.config();
+
+// Identity bundles: everything pinned for a wallet packed into one CAR file,
+// so an identity can be archived offline or moved to another pinning service
+// without scraping it again.
+//
+// The CAR's root is a JSON manifest listing every document in it: the
+// wallet's profiles (the latest version, or every version), the gig
+// documents they reference, their project images and gig thumbnails and,
+// when the server knows it, the on-chain DID record. Each document is stored
+// as the same UnixFS blocks `ipfs add` produces, so its CID inside the bundle
+// is the CID it was pinned under. Import checks every block against its CID and every document
+// against the CID in the manifest.
+
+export const CAR_CONTENT_TYPE = "application/vnd.ipld.car";
+const BUNDLE_MAX_BYTES = process.env.BUNDLE_MAX_BYTES || "50mb";
+const BUNDLE_IMAGE_MAX_BYTES = Number(process.env.BUNDLE_IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+
+// A bundle with profiles the wallet has not proved it owns
+export class BundleOwnershipError extends Error {
+  constructor(unproven) {
+    super("The bundle has profiles this wallet has not proved it owns");
+    this.name = "BundleOwnershipError";
+    this.unproven = unproven;
+  }
+}
+
+// A bundle with documents that do not match their schema
+export class BundleSchemaError extends Error {
+  constructor(invalid) {
+    super("The bundle has documents that do not match their schema");
+    this.name = "BundleSchemaError";
+    this.invalid = invalid;
+  }
+}
+
+const VALIDATORS = { profile: validateProfile, gig: validateGig };
+
+// Blocks collected while building a bundle, in the order they were added
+function createBlockSet() {
+  const blocks = new Map(); // { cid: { cid, bytes } }
+  return {
+    put(cid, bytes) {
+      blocks.set(cid.toString(), { cid, bytes });
+      return cid;
+    },
+    *get(cid) {
+      const block = blocks.get(cid.toString());
+      if (!block) throw new Error(`Block ${cid} is not in the bundle`);
+      yield block.bytes;
+    },
+    values: () => blocks.values(),
+  };
+}
+
+// Fetch a pinned document and add its blocks, checking they rebuild the CID
+// it was pinned under
+async function addPinnedDocument(blockSet, cid) {
+  const bytes = await fetchFromIPFS(cid);
+  const rebuilt = (await importBytes(bytes, blockSet)).toString();
+  if (rebuilt !== cid) {
+    throw new StorageError("BAD_RESPONSE", `Content fetched for ${cid} hashes to ${rebuilt}`);
+  }
+  return bytes;
+}
+
+async function addImage(blockSet, url) {
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    timeout: 30000,
+    maxContentLength: BUNDLE_IMAGE_MAX_BYTES,
+  });
+  const bytes = new Uint8Array(response.data);
+  const cid = await importBytes(bytes, blockSet);
+  return { cid: cid.toString(), size: bytes.length, contentType: response.headers["content-type"] ?? null };
+}
+
+// Build the bundle for a wallet. Returns { root, manifest, car } where `car`
+// is the CAR file's bytes. Documents that cannot be fetched are listed under
+// `missing` in the manifest instead of failing the export.
+export async function exportBundle(wallet, { onChainRecord = null, includeHistory = false } = {}) {
+  const entries = historyForWallet(wallet);
+  if (entries.length === 0) {
+    throw new StorageError("NOT_FOUND", `Nothing has been pinned for ${wallet}`);
+  }
+
+  const blockSet = createBlockSet();
+  const documents = [];
+  const missing = [];
+  const seen = new Set();
+
+  const addDocument = async (kind, cid, details) => {
+    if (!cid || seen.has(cid)) return null;
+    seen.add(cid);
+    try {
+      const bytes = await addPinnedDocument(blockSet, cid);
+      documents.push({ kind, cid, size: bytes.length, ...details });
+      return kind === "image" ? null : JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      console.error(`⚠️ Could not add ${kind} ${cid} to the bundle:`, error.message);
+      missing.push({ kind, cid, error: error.message, ...details });
+      return null;
+    }
+  };
+
+  for (const entry of entries) {
+    const versions = includeHistory ? entry.versions : entry.versions.slice(-1);
+
+    for (const version of versions) {
+      const profile = await addDocument("profile", version.cid, {
+        platform: entry.platform,
+        profileUrl: entry.profileUrl,
+        version: version.version,
+      });
+      if (!profile) continue;
+
+      for (const gig of profile.gigs ?? []) {
+        await addDocument("gig", gig.cid, { link: gig.link });
+      }
+
+      for (const { image } of [...(profile.projects ?? []), ...(profile.gigs ?? [])]) {
+        if (!image) continue;
+
+        // Images pinned with the profile (see media.js) come from IPFS too
+        if (image.startsWith("ipfs://")) {
+          await addDocument("image", image.slice("ipfs://".length), { url: image });
+          continue;
+        }
+
+        if (seen.has(image)) continue;
+        seen.add(image);
+        try {
+          documents.push({ kind: "image", url: image, ...(await addImage(blockSet, image)) });
+        } catch (error) {
+          missing.push({ kind: "image", url: image, error: error.message });
+        }
+      }
+    }
+  }
+
+  const manifest = {
+    type: "freelancing-id/bundle",
+    version: 1,
+    createdAt: new Date().toISOString(),
+    wallet,
+    onChain: onChainRecord,
+    documents,
+    missing,
+  };
+  const root = await importBytes(new TextEncoder().encode(JSON.stringify(manifest, null, 2)), blockSet);
+
+  const { writer, out } = CarWriter.create([root]);
+  const chunks = [];
+  const collected = (async () => {
+    for await (const chunk of out) chunks.push(chunk);
+  })();
+  for (const { cid, bytes } of blockSet.values()) {
+    await writer.put({ cid, bytes });
+  }
+  await writer.close();
+  await collected;
+
+  console.log(`✅ Exported bundle for ${wallet}: ${documents.length} documents, ${missing.length} missing`);
+  return { root: root.toString(), manifest, car: Buffer.concat(chunks) };
+}
+
+// Read a UnixFS file out of the bundle
+async function readFile(blockstore, cid) {
+  const entry = await exporter(cid, blockstore);
+  const chunks = [];
+  for await (const chunk of entry.content()) chunks.push(chunk);
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+// Read a bundle document and check it would be pinned under its manifest
+// CID: JSON documents are pinned re-serialized, so they must already be in
+// that form. Returns { bytes, data }; throws if the document does not check
+// out.
+async function readDocument(blockSet, document) {
+  const bytes = await readFile(blockSet, document.cid);
+  if (document.kind === "image") {
+    return { bytes, data: null };
+  }
+
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  if ((await cidForBytes(new TextEncoder().encode(JSON.stringify(data)))) !== document.cid) {
+    throw new StorageError("BAD_RESPONSE", "The document would not be pinned under its CID");
+  }
+  return { bytes, data };
+}
+
+// The account a bundled profile was pinned for. A profile pinned with its PII
+// kept private (see privacy.js) carries a stand-in URL, so the manifest's,
+// copied from the version history at export, names the account.
+function accountOf(document, data) {
+  return {
+    platform: document.platform ?? data.platform ?? null,
+    profileUrl: (data.privacy ? document.profileUrl : data.profileUrl) ?? null,
+  };
+}
+
+// Pin everything in a bundle on the configured storage providers. Every
+// block must match its CID, and every document is checked before anything
+// is pinned: a document that would not be re-pinned under the CID the
+// manifest gives for it is reported as not verified and skipped, and the
+// bundle is refused if a profile or gig does not match its schema. Profiles
+// are added back to the wallet's version history, so the bundle is refused
+// unless the wallet has an ownership proof (see ownership.js) for every
+// profile in it. With `wallet`, bundles of any other wallet are refused.
+export async function importBundle(carBytes, { wallet } = {}) {
+  let reader;
+  try {
+    reader = await CarReader.fromBytes(carBytes);
+  } catch (error) {
+    throw new StorageError("BAD_RESPONSE", `Not a CAR file: ${error.message}`);
+  }
+
+  const blockSet = createBlockSet();
+  for await (const { cid, bytes } of reader.blocks()) {
+    const digest = await sha256.digest(bytes);
+    if (cid.multihash.code !== sha256.code || !equals(digest.bytes, cid.multihash.bytes)) {
+      throw new StorageError("BAD_RESPONSE", `Block ${cid} does not match its content`);
+    }
+    blockSet.put(cid, bytes);
+  }
+
+  const [root] = await reader.getRoots();
+  const manifest = JSON.parse(new TextDecoder().decode(await readFile(blockSet, root)));
+  if (manifest.type !== "freelancing-id/bundle") {
+    throw new StorageError("BAD_RESPONSE", "The CAR root is not an identity bundle manifest");
+  }
+  if (wallet && manifest.wallet?.toLowerCase() !== wallet.toLowerCase()) {
+    throw new Error(`This bundle belongs to ${manifest.wallet}, not the signed-in wallet`);
+  }
+
+  // Oldest profile versions first, so the history is rebuilt in order
+  const documents = [...manifest.documents].sort((a, b) => (a.version ?? 0) - (b.version ?? 0));
+  const checked = [];
+  for (const document of documents) {
+    try {
+      checked.push({ document, ...(await readDocument(blockSet, document)) });
+    } catch (error) {
+      checked.push({ document, error });
+    }
+  }
+
+  // Never pin a payload that does not match its schema
+  const invalid = checked
+    .filter(({ document, data }) => data && VALIDATORS[document.kind])
+    .map(({ document, data }) => ({ kind: document.kind, cid: document.cid, errors: VALIDATORS[document.kind](data).errors }))
+    .filter(({ errors }) => errors.length > 0);
+  if (invalid.length > 0) {
+    throw new BundleSchemaError(invalid);
+  }
+
+  // Nothing is pinned or recorded for profiles the wallet has not proved it owns
+  const accounts = checked.filter(({ document, data }) => document.kind === "profile" && data).map(({ document, data }) => accountOf(document, data));
+  const unproven = accounts
+    .filter(({ platform, profileUrl }) => !isAddress(manifest.wallet) || !profileUrl || !findOwnershipProof(manifest.wallet, platform, profileUrl))
+    .map(({ platform, profileUrl }) => ({ platform, value: profileUrl }))
+    .filter((account, i, all) => all.findIndex((other) => other.value === account.value) === i);
+  if (unproven.length > 0) {
+    throw new BundleOwnershipError(unproven);
+  }
+
+  const results = [];
+  for (const { document, bytes, data, error } of checked) {
+    if (error) {
+      results.push({ kind: document.kind, cid: document.cid, pinnedAs: null, verified: false, error: error.message, code: error.code ?? null });
+      continue;
+    }
+
+    const name = document.kind === "image" ? `Image-${document.cid}` : `Bundle-${document.kind}-${document.cid}`;
+    try {
+      const cid = document.kind === "image" ? await storeFileOnIPFS(bytes, name) : await storeDataOnIPFS(data, name);
+      const verified = cid === document.cid;
+
+      if (verified && document.kind === "profile") {
+        recordVersion({ ...data, ...accountOf(document, data) }, cid, { wallet: manifest.wallet });
+      }
+      if (!verified) {
+        console.error(`⚠️ ${document.kind} ${document.cid} was pinned as ${cid}`);
+      }
+      results.push({ kind: document.kind, cid: document.cid, pinnedAs: cid, verified });
+    } catch (error) {
+      results.push({ kind: document.kind, cid: document.cid, pinnedAs: null, verified: false, error: error.message, code: error.code ?? null });
+    }
+  }
+
+  return { root: root.toString(), wallet: manifest.wallet, onChain: manifest.onChain, documents: results };
+}
+
+// Build the bundle routes. `getOnChainRecord(wallet)` (optional) returns the
+// wallet's DID record to include in the manifest.
+export function createBundleRouter({ getOnChainRecord = async () => null } = {}) {
+  const router = express.Router();
+
+  // Download a wallet's identity bundle as a CAR file: ?history=true to
+  // include every profile version
+  router.get("/api/profile/:wallet/bundle", async (req, res) => {
+    const { wallet } = req.params;
+    if (!isAddress(wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+
+    try {
+      const { root, car } = await exportBundle(wallet, {
+        onChainRecord: await getOnChainRecord(wallet),
+        includeHistory: req.query.history === "true",
+      });
+      res.set({
+        "Content-Type": CAR_CONTENT_TYPE,
+        "Content-Disposition": `attachment; filename="${wallet}.car"`,
+        "X-Bundle-Root": root,
+      });
+      return res.send(car);
+    } catch (error) {
+      if (error.code === "NOT_FOUND") {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      console.error("❌ Bundle export failed:", error);
+      return res.status(502).json({ error: "❌ Failed to export bundle", code: error.code ?? null });
+    }
+  });
+
+  // Upload a CAR bundle of the signed-in wallet and pin its contents on the
+  // configured providers
+  router.post(
+    "/bundles/import",
+    requireSession,
+    express.raw({ type: [CAR_CONTENT_TYPE, "application/octet-stream"], limit: BUNDLE_MAX_BYTES }),
+    async (req, res) => {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: `❌ Send the CAR file as the request body (Content-Type: ${CAR_CONTENT_TYPE})` });
+      }
+
+      try {
+        const report = await importBundle(new Uint8Array(req.body), { wallet: req.auth.wallet });
+        return res.json({ success: report.documents.every((document) => document.verified), ...report });
+      } catch (error) {
+        if (error instanceof BundleOwnershipError) {
+          return res.status(403).json({ success: false, error: `❌ ${error.message} (POST /api/ownership/challenges)`, unproven: error.unproven });
+        }
+        if (error instanceof BundleSchemaError) {
+          return res.status(400).json({ success: false, error: `❌ ${error.message}`, invalid: error.invalid });
+        }
+        return res.status(400).json({ error: `❌ ${error.message}` });
+      }
+    }
+  );
+
+  return router;
+}
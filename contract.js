@@ -0,0 +1,209 @@
+import dotenv from "dotenv";
+import { ethers, JsonRpcProvider } from "ethers";
+
+dotenv.config();
+
+// The soulbound DID registry contract: its ABI and a connection built from
+// CONTRACT_ADDRESS, RPC_URL and PRIVATE_KEY (the server's signer). Point
+// RPC_URL at a local Hardhat or Anvil node to run against a test chain.
+
+// SBT contract ABI (ensure it matches your deployed contract)
+export const SBT_ABI = [
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "user",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "did",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			}
+		],
+		"name": "DIDRegistered",
+		"type": "event"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "",
+				"type": "string"
+			}
+		],
+		"name": "didRecords",
+		"outputs": [
+			{
+				"internalType": "string",
+				"name": "did",
+				"type": "string"
+			},
+			{
+				"internalType": "address",
+				"name": "userWallet",
+				"type": "address"
+			},
+			{
+				"internalType": "string",
+				"name": "uniqueIdentifierHash",
+				"type": "string"
+			},
+			{
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "dateOfBirth",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "name",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "github",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "fiverr",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "upwork",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "additional",
+				"type": "string"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "userWallet",
+				"type": "address"
+			},
+			{
+				"internalType": "string",
+				"name": "did",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "uniqueIdentifierHash",
+				"type": "string"
+			},
+			{
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "dateOfBirth",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "name",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "github",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "fiverr",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "upwork",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "additional",
+				"type": "string"
+			}
+		],
+		"name": "registerDID",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"name": "userToDID",
+		"outputs": [
+			{
+				"internalType": "string",
+				"name": "",
+				"type": "string"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	}
+];
+
+// Connect to the registry. Throws if the blockchain configuration is missing.
+export function connectSbtContract({
+  address = process.env.CONTRACT_ADDRESS,
+  rpcUrl = process.env.RPC_URL,
+  privateKey = process.env.PRIVATE_KEY,
+} = {}) {
+  if (!address || !rpcUrl || !privateKey) {
+    throw new Error("Missing blockchain configuration (CONTRACT_ADDRESS, RPC_URL, PRIVATE_KEY). Check your .env file.");
+  }
+
+  const provider = new JsonRpcProvider(rpcUrl);
+  const signer = new ethers.Wallet(privateKey, provider);
+  return { provider, signer, contract: new ethers.Contract(address, SBT_ABI, signer) };
+}
+
+// A DID record as plain JSON (the contract returns a Result with bigints)
+export function formatDidRecord(record) {
+  return {
+    did: record.did,
+    userWallet: record.userWallet,
+    uniqueIdentifierHash: record.uniqueIdentifierHash,
+    timestamp: record.timestamp.toString(),
+    dateOfBirth: record.dateOfBirth,
+    name: record.name,
+    github: record.github,
+    fiverr: record.fiverr,
+    upwork: record.upwork,
+    additional: record.additional,
+  };
+}
@@ -0,0 +1,411 @@
+import crypto from "crypto";
+import zlib from "zlib";
+import express from "express";
+import axios from "axios";
+import dotenv from "dotenv";
+import { SigningKey, Signature, computeAddress, getAddress, hexlify, isAddress, recoverAddress, sha256, toUtf8Bytes } from "ethers";
+import { openStore } from "./store.js";
+import { requireAdmin } from "./admin.js";
+
+dotenv.config();
+
+// Verifiable Credentials for scraped platform data.
+//
+// After a scrape linked to a wallet, the server attests what it saw: "wallet X
+// controls <platform> user Y with N reviews and skills Z as of date D", with
+// the pinned profile's CID as evidence. Credentials are W3C VCs in the JWT
+// encoding (VC-JWT), signed ES256K with ISSUER_PRIVATE_KEY; the issuer is
+// did:ethr:<address of that key>, so anyone can check a signature without
+// asking this server. Revocation is published as a StatusList2021 bitstring.
+
+const ISSUER_PRIVATE_KEY = process.env.ISSUER_PRIVATE_KEY;
+const CREDENTIAL_TTL_DAYS = Number(process.env.CREDENTIAL_TTL_DAYS) || 90;
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, "");
+
+// Issuers besides this server whose credentials are accepted by the verify route
+const TRUSTED_ISSUERS = (process.env.CREDENTIAL_TRUSTED_ISSUERS || "")
+  .split(",")
+  .map((issuer) => issuer.trim())
+  .filter(Boolean);
+
+// Revocation bits per status list; 16KB, the minimum StatusList2021
+// recommends so that one index says little about who holds it
+const STATUS_LIST_SIZE = 131072;
+const STATUS_LIST_URL = `${PUBLIC_URL}/api/credentials/status-list`;
+
+const VC_CONTEXT = "https://www.w3.org/2018/credentials/v1";
+const STATUS_LIST_CONTEXT = "https://w3id.org/vc/status-list/2021/v1";
+
+const credentials = openStore("credentials"); // { uuid: { id, wallet, ..., jwt, revokedAt } }
+
+const issuerKey = ISSUER_PRIVATE_KEY ? new SigningKey(ISSUER_PRIVATE_KEY) : null;
+
+// The address of the issuer key, or null when issuing is not configured
+export function issuerAddress() {
+  return issuerKey ? computeAddress(issuerKey.publicKey) : null;
+}
+
+// The DID credentials are issued under, or null when issuing is not configured
+export function issuerDid() {
+  return issuerKey ? `did:ethr:${issuerAddress()}` : null;
+}
+
+export function credentialsEnabled() {
+  return issuerKey !== null;
+}
+
+// The address behind a did:ethr (optionally with a network, did:ethr:sepolia:0x...)
+function addressOfDid(did) {
+  const match = /^did:ethr:(?:[\w-]+:)?(0x[0-9a-fA-F]{40})$/.exec(did ?? "");
+  return match ? getAddress(match[1]) : null;
+}
+
+// --------------------------------------
+// JWT encoding
+// --------------------------------------
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function signJwt(payload) {
+  const header = { alg: "ES256K", typ: "JWT", kid: `${issuerDid()}#controller` };
+  const input = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = issuerKey.sign(sha256(toUtf8Bytes(input)));
+  return `${input}.${Buffer.from(signature.r.slice(2) + signature.s.slice(2), "hex").toString("base64url")}`;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Split a JWT into its parts. Throws if it is not one.
+function decodeJwt(jwt) {
+  const parts = typeof jwt === "string" ? jwt.split(".") : [];
+  if (parts.length !== 3) {
+    throw new Error("Not a JWT");
+  }
+  const [header, payload] = parts.slice(0, 2).map((part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8")));
+  if (!isPlainObject(header) || !isPlainObject(payload)) {
+    throw new Error("Not a JWT");
+  }
+  return { header, payload, input: `${parts[0]}.${parts[1]}`, signature: Buffer.from(parts[2], "base64url") };
+}
+
+// Was the JWT signed by the key of `address`? ES256K carries no recovery bit,
+// so both candidates are tried.
+function signedBy({ header, input, signature }, address) {
+  if (header.alg !== "ES256K" || signature.length !== 64 || !address) return false;
+
+  const digest = sha256(toUtf8Bytes(input));
+  const r = hexlify(signature.subarray(0, 32));
+  const s = hexlify(signature.subarray(32));
+  return [0, 1].some((yParity) => {
+    try {
+      return recoverAddress(digest, Signature.from({ r, s, yParity })) === address;
+    } catch {
+      return false; // non-canonical signature
+    }
+  });
+}
+
+// --------------------------------------
+// Revocation (StatusList2021)
+// --------------------------------------
+
+function revocationBits() {
+  const bits = Buffer.alloc(STATUS_LIST_SIZE / 8);
+  for (const credential of credentials.values()) {
+    if (credential.revokedAt) {
+      bits[credential.statusListIndex >> 3] |= 0x80 >> (credential.statusListIndex & 7);
+    }
+  }
+  return bits;
+}
+
+function isBitSet(bits, index) {
+  return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+// A random free index, so indexes do not reveal the order of issuance
+function allocateStatusIndex() {
+  const used = new Set(credentials.values().map((credential) => credential.statusListIndex));
+  if (used.size >= STATUS_LIST_SIZE) {
+    throw new Error("The revocation status list is full");
+  }
+  let index;
+  do {
+    index = crypto.randomInt(STATUS_LIST_SIZE);
+  } while (used.has(index));
+  return index;
+}
+
+// The signed status list credential published at STATUS_LIST_URL
+export function statusListCredential() {
+  return signJwt({
+    iss: issuerDid(),
+    nbf: Math.floor(Date.now() / 1000),
+    jti: STATUS_LIST_URL,
+    vc: {
+      "@context": [VC_CONTEXT, STATUS_LIST_CONTEXT],
+      type: ["VerifiableCredential", "StatusList2021Credential"],
+      credentialSubject: {
+        id: `${STATUS_LIST_URL}#list`,
+        type: "StatusList2021",
+        statusPurpose: "revocation",
+        encodedList: zlib.gzipSync(revocationBits()).toString("base64url"),
+      },
+    },
+  });
+}
+
+// Is the credential revoked? Our own list is read directly; a trusted
+// issuer's list is fetched and must be signed by that issuer.
+async function isRevoked(status, issuerAddress) {
+  const index = Number(status.statusListIndex);
+  if (status.type !== "StatusList2021Entry" || !Number.isInteger(index) || index < 0) {
+    throw new Error("Unsupported credential status");
+  }
+
+  if (status.statusListCredential === STATUS_LIST_URL && credentialsEnabled()) {
+    return isBitSet(revocationBits(), index);
+  }
+
+  const response = await axios.get(status.statusListCredential, { responseType: "text", timeout: 10000 });
+  const list = decodeJwt(String(response.data).trim());
+  if (!signedBy(list, issuerAddress)) {
+    throw new Error("The status list is not signed by the issuer");
+  }
+  const bits = zlib.gunzipSync(Buffer.from(list.payload.vc.credentialSubject.encodedList, "base64url"));
+  if (index >= bits.length * 8) {
+    throw new Error("Status list index out of range");
+  }
+  return isBitSet(bits, index);
+}
+
+// --------------------------------------
+// Issuing and verifying
+// --------------------------------------
+
+// What the credential claims about the account. A username that was pinned
+// as a commitment (see privacy.js) is attested as that commitment.
+function platformAccountClaims(profile) {
+  return {
+    platform: profile.platform,
+    profileUrl: profile.profileUrl,
+    username: profile.username ?? null,
+    ...(profile.privacy?.commitments?.username && { usernameCommitment: profile.privacy.commitments.username }),
+    reviewsCount: profile.reviewsCount ?? null,
+    averageRating: profile.reviewStats?.averageRating ?? null,
+    skills: profile.skills ?? [],
+    ...(profile.jobsCompleted !== undefined && { jobsCompleted: profile.jobsCompleted }),
+    ...(profile.jobSuccessScore !== undefined && { jobSuccessScore: profile.jobSuccessScore }),
+    observedAt: profile.scrapedAt,
+  };
+}
+
+// Sign a credential of `type` about `wallet` and record it. `claims` go into
+// the credentialSubject next to its id; `details` are kept with the record.
+function issueCredential(wallet, { type, claims, evidence, details }) {
+  if (!isAddress(wallet)) {
+    throw new Error("A credential needs the wallet it is issued to");
+  }
+
+  const uuid = crypto.randomUUID();
+  const id = `urn:uuid:${uuid}`;
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + CREDENTIAL_TTL_DAYS * 24 * 60 * 60;
+  const statusListIndex = allocateStatusIndex();
+  const subject = `did:ethr:${getAddress(wallet)}`;
+
+  const jwt = signJwt({
+    iss: issuerDid(),
+    sub: subject,
+    jti: id,
+    nbf: issuedAt,
+    exp: expiresAt,
+    vc: {
+      "@context": [VC_CONTEXT, STATUS_LIST_CONTEXT],
+      type: ["VerifiableCredential", type],
+      credentialSubject: { id: subject, ...claims },
+      evidence,
+      credentialStatus: {
+        id: `${STATUS_LIST_URL}#${statusListIndex}`,
+        type: "StatusList2021Entry",
+        statusPurpose: "revocation",
+        statusListIndex: String(statusListIndex),
+        statusListCredential: STATUS_LIST_URL,
+      },
+    },
+  });
+
+  credentials.set(uuid, {
+    id,
+    type,
+    wallet: getAddress(wallet),
+    ...details,
+    statusListIndex,
+    issuedAt: new Date(issuedAt * 1000).toISOString(),
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+    revokedAt: null,
+    revocationReason: null,
+    jwt,
+  });
+
+  console.log(`📝 Issued ${type} ${id} for ${wallet} (${details.platform})`);
+  return { id, jwt, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+// Issue a credential linking `wallet` to a pinned profile. Returns
+// { id, jwt, expiresAt }, or null when no issuer key is configured.
+export function issueProfileCredential(profile, cid, { wallet }) {
+  if (!credentialsEnabled()) return null;
+
+  return issueCredential(wallet, {
+    type: "PlatformAccountCredential",
+    claims: { platformAccount: platformAccountClaims(profile) },
+    evidence: [{ id: `ipfs://${cid}`, type: ["PinnedProfile"], cid, schemaVersion: profile.schemaVersion }],
+    details: { platform: profile.platform, profileUrl: profile.profileUrl, cid },
+  });
+}
+
+// Issue the proof that `wallet` showed control of an account by publishing a
+// challenge code on it (see ownership.js). Returns { id, jwt, expiresAt };
+// throws when no issuer key is configured.
+export function issueOwnershipCredential({ wallet, platform, handle, profileUrl, method, code, evidenceUrl, verifiedAt }) {
+  if (!credentialsEnabled()) {
+    throw new Error("Ownership proofs need an issuer key (ISSUER_PRIVATE_KEY)");
+  }
+
+  return issueCredential(wallet, {
+    type: "AccountOwnershipCredential",
+    claims: { account: { platform, handle, profileUrl } },
+    evidence: [{ id: evidenceUrl, type: ["ChallengeCodePublished"], method, code, verifiedAt }],
+    details: { platform, handle, profileUrl },
+  });
+}
+
+// A credential issued here, by id (urn:uuid:... or the bare uuid)
+export function getCredential(id) {
+  return credentials.get(String(id).replace(/^urn:uuid:/, ""));
+}
+
+// Revoke a credential issued here. Returns the updated record, or null if
+// there is no such credential.
+export function revokeCredential(id, reason = null) {
+  const credential = getCredential(id);
+  if (!credential) return null;
+  if (credential.revokedAt) return credential;
+
+  console.log(`🛑 Revoked credential ${credential.id}`);
+  return credentials.update(credential.id.replace(/^urn:uuid:/, ""), { revokedAt: new Date().toISOString(), revocationReason: reason });
+}
+
+// Check a VC-JWT: its signature against the issuer's DID, that the issuer is
+// trusted, that it is within its validity period and that it is not revoked.
+// Returns { valid, checks, errors, credential }.
+export async function verifyCredential(jwt, { now = new Date() } = {}) {
+  let decoded;
+  try {
+    decoded = decodeJwt(jwt);
+  } catch {
+    return { valid: false, checks: {}, errors: ["Not a JWT credential"], credential: null };
+  }
+
+  const { payload } = decoded;
+  const vc = isPlainObject(payload.vc) ? payload.vc : {};
+  const seconds = Math.floor(now.getTime() / 1000);
+  const issuerAddress = addressOfDid(payload.iss);
+  const errors = [];
+
+  const checks = {
+    signature: signedBy(decoded, issuerAddress),
+    issuer: payload.iss === issuerDid() || TRUSTED_ISSUERS.includes(payload.iss),
+    expiry: (payload.nbf === undefined || payload.nbf <= seconds) && (payload.exp === undefined || seconds < payload.exp),
+    revocation: null,
+  };
+  if (!checks.signature) errors.push("The signature does not match the issuer");
+  if (!checks.issuer) errors.push(`Issuer ${payload.iss ?? "(none)"} is not trusted`);
+  if (!checks.expiry) errors.push(payload.exp !== undefined && seconds >= payload.exp ? "The credential has expired" : "The credential is not valid yet");
+
+  // Only worth asking about a credential whose issuer checks out
+  if (vc.credentialStatus && checks.signature && checks.issuer) {
+    try {
+      checks.revocation = !(await isRevoked(vc.credentialStatus, issuerAddress));
+      if (!checks.revocation) errors.push("The credential has been revoked");
+    } catch (error) {
+      checks.revocation = false;
+      errors.push(`Could not check revocation: ${error.message}`);
+    }
+  }
+
+  const credential = {
+    ...vc,
+    id: payload.jti ?? vc.id,
+    issuer: payload.iss,
+    issuanceDate: payload.nbf !== undefined ? new Date(payload.nbf * 1000).toISOString() : undefined,
+    expirationDate: payload.exp !== undefined ? new Date(payload.exp * 1000).toISOString() : undefined,
+  };
+
+  return { valid: errors.length === 0, checks, errors, credential };
+}
+
+// Credentials issued to a wallet, newest first
+export function credentialsForWallet(wallet) {
+  return credentials
+    .values()
+    .filter((credential) => credential.wallet.toLowerCase() === wallet.toLowerCase())
+    .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+}
+
+// Build the credential routes
+export function createCredentialRouter() {
+  const router = express.Router();
+
+  if (!credentialsEnabled()) {
+    console.warn("⚠️ ISSUER_PRIVATE_KEY is not set: scrapes will not issue credentials");
+  }
+
+  // Check a credential. Body: { credential: "<VC-JWT>" }
+  router.post("/api/credentials/verify", async (req, res) => {
+    const { credential } = req.body ?? {};
+    if (typeof credential !== "string" || !credential) {
+      return res.status(400).json({ error: "❌ Credential (a VC-JWT string) is required" });
+    }
+
+    try {
+      const result = await verifyCredential(credential.trim());
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error("❌ Credential verification failed:", error.message);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // The signed revocation list referenced by every credential's credentialStatus
+  router.get("/api/credentials/status-list", (req, res) => {
+    if (!credentialsEnabled()) {
+      return res.status(404).json({ success: false, error: "This server does not issue credentials" });
+    }
+    res.set({ "Content-Type": "application/jwt", "Cache-Control": "no-cache" });
+    return res.send(statusListCredential());
+  });
+
+  // Credentials issued to a wallet, with their revocation state
+  router.get("/api/profile/:wallet/credentials", (req, res) => {
+    if (!isAddress(req.params.wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+    const issued = credentialsForWallet(req.params.wallet);
+    return res.json({ success: true, issuer: issuerDid(), total: issued.length, credentials: issued });
+  });
+
+  // Revoke a credential (x-admin-key). Body: { reason } (optional)
+  router.post("/admin/credentials/:id/revoke", requireAdmin, (req, res) => {
+    const credential = revokeCredential(req.params.id, req.body?.reason ?? null);
+    if (!credential) {
+      return res.status(404).json({ success: false, error: "Credential not found" });
+    }
+    return res.json({ success: true, credential });
+  });
+
+  return router;
+}
@@ -1,12 +1,24 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import puppeteer from "puppeteer-extra";
-import StealthPlugin from "puppeteer-extra-plugin-stealth";
-import axios from "axios"; // For Pinata API
 import dotenv from "dotenv";
-import crypto from "crypto"; // For hashing
-import { ethers, JsonRpcProvider } from "ethers"; // For blockchain integration
+import { scrapeProfile } from "./scrape.js";
+import { closeBrowserPool } from "./browser.js";
+import { initStorage, storeDataOnIPFS } from "./ipfs.js";
+import { createPinIndexRouter } from "./pins.js";
+import { createProfileHistoryRouter } from "./history.js";
+import { commitRegistrationFields, verifyCommitment, createPrivacyRouter } from "./privacy.js";
+import { createBundleRouter } from "./bundle.js";
+import { createRetrievalRouter } from "./retrieval.js";
+import { createAdminRouter } from "./admin.js";
+import { createCredentialRouter } from "./credentials.js";
+import { createSiweRouter, requireSiweDomain, requireSession } from "./siwe.js";
+import { createOwnershipRouter, unprovenAccounts } from "./ownership.js";
+import { connectSbtContract, formatDidRecord } from "./contract.js";
+import { createPipelineRouter } from "./pipeline.js";
+import { createDidIndexer, createDidIndexRouter } from "./indexer.js";
+import { createDidResolverRouter } from "./resolver.js";
+import { createTransactionManager, createTransactionRouter } from "./transactions.js";
 
 // Load environment variables
 dotenv.config();
@@ -18,351 +30,107 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(bodyParser.json());
 
-// Configure Puppeteer to avoid detection
-puppeteer.use(StealthPlugin());
-
-// Validate Pinata API Keys
-if (!process.env.PINATA_API_KEY || !process.env.PINATA_SECRET_API_KEY) {
-  console.error("❌ Missing Pinata API credentials. Check your .env file.");
-  process.exit(1);
-}
-
-// Validate blockchain configuration
-if (!process.env.CONTRACT_ADDRESS || !process.env.RPC_URL || !process.env.PRIVATE_KEY) {
-  console.error("❌ Missing blockchain configuration. Check your .env file.");
+// Fail on start-up if no storage provider or sign-in domain is configured
+try {
+  initStorage();
+  requireSiweDomain();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-// In-memory storage for metadata hashes (use a database in production)
-const uploadedMetadata = new Map(); // { hash: CID }
-
 // --------------------------------------
-// Helper Functions
+// Blockchain & Contract Setup
 // --------------------------------------
 
-// Generate SHA-256 hash of JSON data
-function generateHash(data) {
-  return crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+// Fail on start-up if the blockchain configuration is missing
+let sbtContract;
+try {
+  ({ contract: sbtContract } = connectSbtContract());
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
 
-// Function to store JSON data on Pinata (with duplicate prevention)
-async function storeDataOnIPFS(data, metadataName) {
-  const dataHash = generateHash(data);
+// Contract writes go through one queue, so concurrent requests never share a nonce
+const transactions = createTransactionManager(sbtContract);
+transactions.start();
 
-  // Check if the metadata already exists
-  if (uploadedMetadata.has(dataHash)) {
-    console.log(`⚠️ Duplicate detected (${metadataName}). Returning existing CID.`);
-    return uploadedMetadata.get(dataHash); // Return existing CID
-  }
+// --------------------------------------
+// API Endpoints
+// --------------------------------------
 
+// Sign-In with Ethereum: GET /auth/nonce, POST /auth/verify, GET /auth/session, POST /auth/logout
+app.use(createSiweRouter());
+
+// Account ownership: POST /api/ownership/challenges, GET .../challenges/:id,
+// POST .../challenges/:id/verify, GET /api/profile/:wallet/ownership
+app.use(createOwnershipRouter());
+
+// Pin index: GET /pins, GET /pins/:contentHash, POST /pins/lookup
+app.use(createPinIndexRouter());
+
+// Profile versions: GET /api/profile/:wallet/history and .../history/diff
+app.use(createProfileHistoryRouter());
+
+// Privacy helpers: POST /privacy/public-key, /privacy/disclosures, /privacy/verify
+app.use(createPrivacyRouter());
+
+// Verified reads of pinned documents: GET /api/ipfs/:cid
+app.use(createRetrievalRouter());
+
+// Pin administration (x-admin-key): GET /admin/pins, DELETE /admin/pins/:cid, POST /admin/pins/retention
+app.use(createAdminRouter());
+
+// Verifiable credentials: POST /api/credentials/verify, GET /api/credentials/status-list,
+// GET /api/profile/:wallet/credentials, POST /admin/credentials/:id/revoke
+app.use(createCredentialRouter());
+
+// Identity bundles: GET /api/profile/:wallet/bundle (CAR), POST /bundles/import.
+// Exported bundles include the wallet's on-chain DID record.
+app.use(
+  createBundleRouter({
+    getOnChainRecord: async (wallet) => {
+      const did = await sbtContract.userToDID(wallet);
+      return did ? formatDidRecord(await sbtContract.didRecords(did)) : null;
+    },
+  })
+);
+
+// Register DID via smart contract, for the wallet signed in with Ethereum
+// only. Fiverr, Upwork and GitHub handles are accepted only with the wallet's
+// ownership proof for them (see ownership.js). Name and date of birth go
+// on-chain as salted commitments; the response carries the values with their
+// salts (`openings`), which the user must keep to disclose them later. Set
+// REGISTER_PLAINTEXT_PII=true to store them in the clear as before. Responds
+// once the transaction is sent; follow it with GET /api/tx/:txId.
+app.post('/api/register', requireSession, async (req, res) => {
   try {
-    const response = await axios.post(
-      "https://api.pinata.cloud/pinning/pinJSONToIPFS",
-      {
-        pinataContent: data,
-        pinataMetadata: { name: metadataName },
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          pinata_api_key: process.env.PINATA_API_KEY,
-          pinata_secret_api_key: process.env.PINATA_SECRET_API_KEY,
-        },
-      }
-    );
-
-    const cid = response.data.IpfsHash;
-    uploadedMetadata.set(dataHash, cid); // Store the new hash-CID pair
-
-    return cid; // Return new CID
-  } catch (error) {
-    console.error(`❌ Pinata Upload Error (${metadataName}):`, error.response?.data || error.message);
-    return null;
-  }
-}
+    const { did, uniqueIdentifierHash, timestamp, dateOfBirth, name, github, fiverr, upwork, additional } = req.body;
+    const wallet = req.auth.wallet;
+    if (req.body.wallet && req.body.wallet.toLowerCase() !== wallet.toLowerCase()) {
+      return res.status(403).json({ success: false, error: "❌ You can only register the wallet you signed in with" });
+    }
 
-// Function to scrape a Fiverr profile
-async function scrapeFiverrProfile(profileUrl) {
-  console.log(`🔵 Scraping: ${profileUrl}`);
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: false,
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
+    if (!name || !dateOfBirth) {
+      return res.status(400).json({ success: false, error: "❌ Name and date of birth are required" });
+    }
 
-    console.log("✅ Puppeteer launched successfully");
+    const unproven = unprovenAccounts(wallet, { fiverr, upwork, github });
+    if (unproven.length > 0) {
+      return res.status(403).json({ success: false, error: "❌ Prove you control these accounts first (POST /api/ownership/challenges)", unproven });
+    }
 
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36"
+    const { onChain, commitments, openings } = commitRegistrationFields({ name, dateOfBirth });
+    const tx = await transactions.submit(
+      "registerDID",
+      [wallet, did, uniqueIdentifierHash, timestamp, onChain.dateOfBirth, onChain.name, github, fiverr, upwork, additional],
+      { wallet }
     );
-    page.setDefaultNavigationTimeout(60000);
-
-    console.log("🔵 Navigating to:", profileUrl);
-    await page.goto(profileUrl, { waitUntil: "networkidle2", timeout: 60000 });
-
-    // Wait a few seconds for dynamic content to load
-    await new Promise((r) => setTimeout(r, 5000));
-
-    // Save a debugging screenshot (optional)
-    await page.screenshot({ path: "fiverr_debug.png" });
-    console.log("📸 Screenshot saved as fiverr_debug.png");
-
-    // Extract data from the DOM
-    const domData = await page.evaluate(() => {
-      const getText = (selector) => {
-        const el = document.querySelector(selector);
-        return el ? el.innerText.trim() : "N/A";
-      };
-
-      const publicName = getText("h1[aria-label='Public Name']");
-      const username = getText("div[aria-label='Username']");
-      const gigTitle = getText("p[role='heading'][aria-level='3']");
-      let reviewsCount = "N/A";
-      const reviewsElement = document.querySelector("#Reviews h2.text-display-7");
-      if (reviewsElement) {
-        reviewsCount = reviewsElement.innerText.split("Reviews")[0].trim();
-      }
-
-      let skills = [];
-      const skillsList = document.querySelectorAll('ul[aria-label="Skills List"] li a');
-      if (skillsList.length > 0) {
-        skills = Array.from(skillsList).map((a) => a.innerText.trim());
-      }
-
-      let gigs = [];
-      const servicesSection = document.querySelector("#Services");
-      if (servicesSection) {
-        const gigContainer = servicesSection.querySelector(".gig_listings-package.listing-container.grid-view");
-        if (gigContainer) {
-          const gigElements = gigContainer.querySelectorAll(".gig-card-layout");
-          gigs = Array.from(gigElements).map((el) => {
-            const titleEl = el.querySelector("h4, h3, p");
-            const title = titleEl ? titleEl.innerText.trim() : "N/A";
-            const linkEl = el.querySelector("a");
-            const link = linkEl ? linkEl.href : "N/A";
-            return { title, link };
-          });
-        }
-      }
-
-      let projects = [];
-      const projectElements = document.querySelectorAll(".project-item");
-      projects = Array.from(projectElements).map((el) => {
-        const titleEl = el.querySelector(".project-title");
-        const title = titleEl ? titleEl.innerText.trim() : "N/A";
-        const imageEl = el.querySelector("img");
-        const image = imageEl ? imageEl.src : "N/A";
-        return { title, image };
-      });
-
-      return { publicName, username, gigTitle, reviewsCount, skills, gigs, projects };
-    });
-
-    console.log("✅ Scraped Data:", domData);
-    return domData;
-  } catch (error) {
-    console.error("❌ Scraping Error:", error);
-    return null;
-  } finally {
-    if (browser) {
-      await browser.close();
-      console.log("🛑 Browser closed.");
+    if (tx.status === "failed") {
+      return res.status(500).json({ success: false, error: tx.error, txId: tx.id });
     }
-  }
-}
-
-// --------------------------------------
-// Blockchain & Contract Setup
-// --------------------------------------
-
-// SBT contract ABI (ensure it matches your deployed contract)
-const sbtABI = [
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "user",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "string",
-				"name": "did",
-				"type": "string"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "timestamp",
-				"type": "uint256"
-			}
-		],
-		"name": "DIDRegistered",
-		"type": "event"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "string",
-				"name": "",
-				"type": "string"
-			}
-		],
-		"name": "didRecords",
-		"outputs": [
-			{
-				"internalType": "string",
-				"name": "did",
-				"type": "string"
-			},
-			{
-				"internalType": "address",
-				"name": "userWallet",
-				"type": "address"
-			},
-			{
-				"internalType": "string",
-				"name": "uniqueIdentifierHash",
-				"type": "string"
-			},
-			{
-				"internalType": "uint256",
-				"name": "timestamp",
-				"type": "uint256"
-			},
-			{
-				"internalType": "string",
-				"name": "dateOfBirth",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "name",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "github",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "fiverr",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "upwork",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "additional",
-				"type": "string"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "address",
-				"name": "userWallet",
-				"type": "address"
-			},
-			{
-				"internalType": "string",
-				"name": "did",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "uniqueIdentifierHash",
-				"type": "string"
-			},
-			{
-				"internalType": "uint256",
-				"name": "timestamp",
-				"type": "uint256"
-			},
-			{
-				"internalType": "string",
-				"name": "dateOfBirth",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "name",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "github",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "fiverr",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "upwork",
-				"type": "string"
-			},
-			{
-				"internalType": "string",
-				"name": "additional",
-				"type": "string"
-			}
-		],
-		"name": "registerDID",
-		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "address",
-				"name": "",
-				"type": "address"
-			}
-		],
-		"name": "userToDID",
-		"outputs": [
-			{
-				"internalType": "string",
-				"name": "",
-				"type": "string"
-			}
-		],
-		"stateMutability": "view",
-		"type": "function"
-	}
-];
-
-const sbtAddress = process.env.CONTRACT_ADDRESS;
-const provider = new JsonRpcProvider(process.env.RPC_URL);
-const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-const sbtContract = new ethers.Contract(sbtAddress, sbtABI, signer);
-
-// --------------------------------------
-// API Endpoints
-// --------------------------------------
-
-// Register DID via smart contract
-app.post('/api/register', async (req, res) => {
-  try {
-    const { wallet, did, uniqueIdentifierHash, timestamp, dateOfBirth, name, github, fiverr, upwork, additional } = req.body;
-    const tx = await sbtContract.registerDID(wallet, did, uniqueIdentifierHash, timestamp, dateOfBirth, name, github, fiverr, upwork, additional);
-    await tx.wait();
-    res.json({ success: true, txHash: tx.hash });
+    res.status(202).json({ success: true, txId: tx.id, txHash: tx.hash, status: tx.status, commitments, openings });
   } catch (error) {
     console.error('Error in /api/register:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -373,23 +141,66 @@ app.post('/api/register', async (req, res) => {
 app.get('/api/profile/:wallet', async (req, res) => {
   try {
     const wallet = req.params.wallet;
-    const did = awaitsbtContract.userToDID(wallet);
+    const did = await sbtContract.userToDID(wallet);
     if (!did || did === "") {
       return res.status(404).json({ success: false, error: "Profile not found" });
     }
     const record = await sbtContract.didRecords(did);
-    res.json({ success: true, profile: record });
+    res.json({ success: true, profile: formatDidRecord(record) });
   } catch (error) {
     console.error('Error in /api/profile/:wallet:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Scrape Fiverr profile, upload to IPFS, and mint SBT
-app.post("/scrape", async (req, res) => {
-  // The rest of the "scrape" endpoint logic from your original code
+// Check disclosed fields against the commitments registered on-chain.
+// Body: { openings: { name: { value, salt }, dateOfBirth: { value, salt } } }
+app.post('/api/profile/:wallet/verify-disclosure', async (req, res) => {
+  try {
+    const { openings } = req.body;
+    if (!openings) {
+      return res.status(400).json({ error: "❌ Openings are required" });
+    }
+
+    const did = await sbtContract.userToDID(req.params.wallet);
+    if (!did || did === "") {
+      return res.status(404).json({ success: false, error: "Profile not found" });
+    }
+    const record = await sbtContract.didRecords(did);
+    const registered = { name: record.name, dateOfBirth: record.dateOfBirth };
+
+    const fields = Object.fromEntries(
+      Object.entries(openings)
+        .filter(([field]) => field in registered)
+        .map(([field, opening]) => [field, verifyCommitment(field, opening, registered[field])])
+    );
+    res.json({ success: true, valid: Object.keys(fields).length > 0 && Object.values(fields).every(Boolean), fields });
+  } catch (error) {
+    console.error('Error in /api/profile/:wallet/verify-disclosure:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
+// Scrape a Fiverr (or Upwork) profile, pin it and register the DID with its
+// CID in the background, resuming where a failed attempt stopped: POST
+// /scrape, GET /scrape/pipeline, GET /scrape/pipelines/:id and its SSE event
+// stream
+app.use(createPipelineRouter({ scrape: scrapeProfile, storeData: storeDataOnIPFS, contract: sbtContract, transactions }));
+
+// Queued contract transactions: GET /api/tx/:id
+app.use(createTransactionRouter({ transactions }));
+
+// Indexed DIDRegistered events: GET /api/dids?since=&page=, GET /api/dids/:platform/:handle.
+// Set INDEXER_ENABLED=false to serve the index without following the chain.
+const didIndexer = createDidIndexer(sbtContract);
+if (process.env.INDEXER_ENABLED !== "false") {
+  didIndexer.start();
+}
+app.use(createDidIndexRouter({ indexer: didIndexer }));
+
+// DID Documents: GET /api/did/:did, GET /.well-known/did.json, GET /users/:wallet/did.json
+app.use(createDidResolverRouter({ contract: sbtContract }));
+
 // --------------------------------------
 // Start the Express Server
 // --------------------------------------
@@ -397,6 +208,17 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
 });
 
+// Close the shared scraping browser and stop the indexer and the transaction
+// queue on shutdown
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, async () => {
+    didIndexer.stop();
+    transactions.stop();
+    await closeBrowserPool();
+    process.exit(0);
+  });
+}
+
 
 
 // import express from "express";
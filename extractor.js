@@ -0,0 +1,155 @@
+// Generic, spec-driven DOM extractor.
+//
+// A spec field looks like:
+//   {
+//     "selector": "h1[aria-label='Public Name']",  // CSS selector (required)
+//     "fallbacks": ["h1.seller-name"],              // tried in order if the selector matches nothing
+//     "attribute": "data-id",                       // read getAttribute() instead of innerText
+//     "property": "href",                           // read a DOM property (e.g. absolute href/src)
+//     "multiple": true,                             // return a list of every match
+//     "keepMissing": true,                          // keep missing entries in a list (e.g. table columns)
+//     "fields": { ... },                            // nested fields, resolved inside each match
+//     "post": [{ "before": "Reviews" }]             // post-processing steps, run in Node
+//   }
+//
+// Post-processing steps:
+//   { "before": "text" }  keep what comes before `text`
+//   { "after": "text" }   keep what comes after `text`
+//   { "match": "regex" }  keep the first match of `regex` (missing if none)
+//   { "replace": "regex", "with": "text" }
+//   { "parse": "count" }  "1.2k" -> 1200, "1,234 Reviews" -> 1234
+//   { "parse": "number" } first decimal number, e.g. "$45.00/hr" -> 45
+//   { "parse": "url" }    keep only absolute http(s) URLs
+//
+// A `parse` step turns the value into its final type, so it must come last.
+// Empty strings and failed steps leave the field as the spec's missingValue.
+
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Parse a human-formatted count such as "1.2k", "2M+" or "(1,234)"
+export function parseCount(text) {
+  const match = String(text).match(/(\d[\d,]*(?:\.\d+)?)\s*([kmb])?/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(/,/g, ""));
+  const multiplier = match[2] ? COUNT_SUFFIXES[match[2].toLowerCase()] : 1;
+  return Math.round(value * multiplier);
+}
+
+function parseNumber(text) {
+  const match = String(text).replace(/,/g, "").match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function parseUrl(text) {
+  try {
+    const url = new URL(text);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+const PARSERS = { count: parseCount, number: parseNumber, url: parseUrl };
+
+// Runs inside the page (serialized by page.evaluate), so it must not reference
+// anything outside its own body.
+function extractFieldsInPage(fields) {
+  const query = (root, field, all) => {
+    for (const selector of [field.selector, ...(field.fallbacks || [])]) {
+      if (all) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (elements.length > 0) return elements;
+      } else {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      }
+    }
+    return all ? [] : null;
+  };
+
+  const read = (element, field) => {
+    if (field.fields) return extract(element, field.fields);
+    if (field.property) return element[field.property] ?? null;
+    if (field.attribute) return element.getAttribute(field.attribute);
+    return element.innerText;
+  };
+
+  const extract = (root, specFields) => {
+    const result = {};
+    for (const [name, field] of Object.entries(specFields)) {
+      if (field.multiple) {
+        result[name] = query(root, field, true).map((element) => read(element, field));
+      } else {
+        const element = query(root, field, false);
+        result[name] = element ? read(element, field) : null;
+      }
+    }
+    return result;
+  };
+
+  return extract(document, fields);
+}
+
+// Apply a single post-processing step to a string. Returns null when the
+// value should be treated as missing.
+function applyStep(value, step) {
+  if (step.before !== undefined) {
+    return value.split(step.before)[0];
+  }
+  if (step.after !== undefined) {
+    const index = value.indexOf(step.after);
+    return index === -1 ? null : value.slice(index + step.after.length);
+  }
+  if (step.match !== undefined) {
+    const match = value.match(new RegExp(step.match));
+    return match ? match[0] : null;
+  }
+  if (step.replace !== undefined) {
+    return value.replace(new RegExp(step.replace, "g"), step.with ?? "");
+  }
+  if (step.parse !== undefined) {
+    if (!PARSERS[step.parse]) throw new Error(`Unknown parser: ${step.parse}`);
+    return PARSERS[step.parse](value);
+  }
+  throw new Error(`Unknown post-processing step: ${JSON.stringify(step)}`);
+}
+
+function postProcessValue(value, field, missingValue) {
+  if (field.fields) {
+    return value === null ? missingValue : postProcess(field.fields, value, missingValue);
+  }
+  if (value === null || value === undefined) return missingValue;
+
+  let result = String(value).trim();
+  for (const step of field.post || []) {
+    if (typeof result !== "string") {
+      throw new Error(`Post-processing step after a parse step: ${JSON.stringify(step)}`);
+    }
+    result = applyStep(result, step);
+    if (result === null) return missingValue;
+    if (typeof result === "string") result = result.trim();
+  }
+  return result === "" ? missingValue : result;
+}
+
+// Turn the raw values collected in the page into the final structured object
+function postProcess(fields, raw, missingValue) {
+  const result = {};
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.multiple) {
+      const values = (raw[name] || []).map((value) => postProcessValue(value, field, missingValue));
+      // Lists of plain values drop missing entries rather than carrying placeholders
+      result[name] = field.fields || field.keepMissing ? values : values.filter((value) => value !== missingValue);
+    } else {
+      result[name] = postProcessValue(raw[name], field, missingValue);
+    }
+  }
+  return result;
+}
+
+// Run a platform spec against a loaded page and return the structured data
+export async function extractWithSpec(page, spec) {
+  const raw = await page.evaluate(extractFieldsInPage, spec.fields);
+  return postProcess(spec.fields, raw, spec.missingValue ?? null);
+}
@@ -0,0 +1,207 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+import { withPage, gotoAndWait, closeBrowserPool } from "./browser.js";
+import { getPlatform, getPlatformForUrl } from "./platforms.js";
+import { scrapeProfile } from "./scrape.js";
+import { scrapeFiverrGig } from "./gigs.js";
+import { validateProfile, validateGig } from "./profile.js";
+
+// Offline fixtures and golden files for the platform extractors.
+//
+// Every fixture lives in fixtures/<platform>/ as three files:
+//   <name>.html         the saved page
+//   <name>.meta.json    where and when it was captured
+//   <name>.golden.json  the exact profile the extractor must produce from it
+//
+// Usage:
+//   node fixtures.js capture <url> [name] [platform]  save the live page as a new fixture
+//   node fixtures.js verify [platform/name ...]       compare extractor output with the golden files
+//   node fixtures.js update [platform/name ...]       rewrite the golden files from the current output
+//   node fixtures.js serve [port]                     serve the snapshots over HTTP for inspection
+//
+// The platform is taken from the URL unless given, e.g. "fiverr-gig" for a
+// gig page (whose URL looks like any other fiverr.com page).
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// How to extract and validate each kind of page. Profile platforms use the
+// default entry.
+const DOCUMENT_TYPES = {
+  "fiverr-gig": { extract: (url, options) => scrapeFiverrGig(url, options), validate: validateGig },
+};
+
+function documentType(platform) {
+  return (
+    DOCUMENT_TYPES[platform] || {
+      extract: (url, options) => scrapeProfile(url, platform, options),
+      validate: validateProfile,
+    }
+  );
+}
+
+function fixturePaths(platform, name) {
+  const base = path.join(FIXTURES_DIR, platform, name);
+  return { html: `${base}.html`, meta: `${base}.meta.json`, golden: `${base}.golden.json` };
+}
+
+// All fixtures, or only the ones named as "platform/name"
+function listFixtures(selected) {
+  if (selected.length > 0) {
+    return selected.map((id) => {
+      const [platform, name] = id.split("/");
+      return { platform, name };
+    });
+  }
+
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs.readdirSync(FIXTURES_DIR).flatMap((platform) =>
+    fs
+      .readdirSync(path.join(FIXTURES_DIR, platform))
+      .filter((file) => file.endsWith(".html"))
+      .map((file) => ({ platform, name: file.slice(0, -".html".length) }))
+  );
+}
+
+// Make relative links in the snapshot resolve against the original page, no
+// matter where the snapshot is loaded from
+function addBaseHref(html, url) {
+  if (/<base\s/i.test(html)) return html;
+  return html.replace(/<head([^>]*)>/i, `<head$1><base href="${url}">`);
+}
+
+async function capture(url, name, platform) {
+  const spec = platform ? getPlatform(platform) : getPlatformForUrl(url);
+  if (!spec) throw new Error(`Unsupported platform: ${platform || url}`);
+
+  name = name || new URL(url).pathname.split("/").filter(Boolean).pop() || spec.platform;
+  const paths = fixturePaths(spec.platform, name);
+
+  const html = await withPage(async (page) => {
+    await gotoAndWait(page, url, spec.readySelector);
+    return page.content();
+  });
+
+  fs.mkdirSync(path.dirname(paths.html), { recursive: true });
+  fs.writeFileSync(paths.html, addBaseHref(html, url));
+  fs.writeFileSync(
+    paths.meta,
+    JSON.stringify({ platform: spec.platform, url, capturedAt: new Date().toISOString() }, null, 2) + "\n"
+  );
+
+  console.log(`✅ Saved fixture ${spec.platform}/${name}. Run "node fixtures.js update ${spec.platform}/${name}" to record its golden file.`);
+}
+
+// Run the extractor against a saved snapshot
+async function extractFixture({ platform, name }) {
+  const paths = fixturePaths(platform, name);
+  const meta = JSON.parse(fs.readFileSync(paths.meta, "utf8"));
+
+  return documentType(platform).extract(meta.url, {
+    fixtureHtml: fs.readFileSync(paths.html, "utf8"),
+    scrapedAt: meta.capturedAt,
+  });
+}
+
+// List every JSON path where `actual` differs from `expected`
+function diffJson(expected, actual, at = "") {
+  if (
+    typeof expected !== "object" ||
+    typeof actual !== "object" ||
+    expected === null ||
+    actual === null ||
+    Array.isArray(expected) !== Array.isArray(actual)
+  ) {
+    return Object.is(expected, actual)
+      ? []
+      : [`${at || "/"}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return Array.from(keys).flatMap((key) => diffJson(expected[key], actual[key], `${at}/${key}`));
+}
+
+async function verify(fixtures) {
+  let failures = 0;
+
+  for (const fixture of fixtures) {
+    const id = `${fixture.platform}/${fixture.name}`;
+    const { golden } = fixturePaths(fixture.platform, fixture.name);
+
+    if (!fs.existsSync(golden)) {
+      console.error(`❌ ${id}: no golden file (run "node fixtures.js update ${id}")`);
+      failures++;
+      continue;
+    }
+
+    const actual = await extractFixture(fixture);
+    const problems = actual
+      ? [
+          ...diffJson(JSON.parse(fs.readFileSync(golden, "utf8")), actual),
+          ...documentType(fixture.platform).validate(actual).errors.map((error) => `${error.field}: ${error.message} (schema)`),
+        ]
+      : ["extraction failed"];
+
+    if (problems.length === 0) {
+      console.log(`✅ ${id}`);
+    } else {
+      failures++;
+      console.error(`❌ ${id}`);
+      for (const problem of problems) console.error(`   ${problem}`);
+    }
+  }
+
+  console.log(`\n${fixtures.length - failures}/${fixtures.length} fixtures match their golden files`);
+  return failures === 0;
+}
+
+async function update(fixtures) {
+  for (const fixture of fixtures) {
+    const actual = await extractFixture(fixture);
+    if (!actual) throw new Error(`Extraction failed for ${fixture.platform}/${fixture.name}`);
+
+    fs.writeFileSync(fixturePaths(fixture.platform, fixture.name).golden, JSON.stringify(actual, null, 2) + "\n");
+    console.log(`📝 Updated golden file for ${fixture.platform}/${fixture.name}`);
+  }
+}
+
+function serve(port) {
+  const app = express();
+  app.use(express.static(FIXTURES_DIR, { extensions: ["html"] }));
+  app.listen(port, () => {
+    console.log(`🚀 Serving fixtures on http://localhost:${port}/<platform>/<name>`);
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  // Golden files hold reviewer hashes keyed with this fixed secret
+  process.env.REVIEWER_HASH_SECRET = "fixtures";
+
+  switch (command) {
+    case "capture":
+      if (!args[0]) throw new Error("Usage: node fixtures.js capture <url> [name] [platform]");
+      await capture(args[0], args[1], args[2]);
+      break;
+    case "verify":
+      process.exitCode = (await verify(listFixtures(args))) ? 0 : 1;
+      break;
+    case "update":
+      await update(listFixtures(args));
+      break;
+    case "serve":
+      return serve(Number(args[0]) || 8080);
+    default:
+      throw new Error("Usage: node fixtures.js <capture|verify|update|serve> [...]");
+  }
+
+  await closeBrowserPool();
+}
+
+main().catch(async (error) => {
+  console.error("❌", error.message);
+  await closeBrowserPool();
+  process.exitCode = 1;
+});
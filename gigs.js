@@ -0,0 +1,96 @@
+import dotenv from "dotenv";
+import { scrapePage } from "./scrape.js";
+import { getPlatform } from "./platforms.js";
+import { GIG_SCHEMA_VERSION, validateGig } from "./profile.js";
+
+dotenv.config();
+
+// Deep gig crawling: follow each gig card on a Fiverr profile, extract the
+// full gig page (packages, rating, orders, description, FAQ) and pin it as its
+// own document. The profile then references each gig by CID.
+
+// Maximum number of gigs followed per profile
+const GIG_CRAWL_LIMIT = Number(process.env.GIG_CRAWL_LIMIT) || 10;
+
+// "Unlimited" -> "unlimited", "3" -> 3
+function parseRevisions(text) {
+  if (text === null || text === undefined) return null;
+  if (/unlimited/i.test(text)) return "unlimited";
+  const match = String(text).match(/\d+/);
+  return match ? Number(match[0]) : null;
+}
+
+// The spec reads the package comparison table column by column; zip the
+// columns back into one object per package (Basic, Standard, Premium)
+function buildPackages(data) {
+  const count = Math.min(
+    3,
+    Math.max(
+      data.packageNames.length,
+      data.packagePrices.length,
+      data.packageDeliveryDays.length,
+      data.packageRevisions.length
+    )
+  );
+
+  return Array.from({ length: count }, (_, i) => ({
+    name: data.packageNames[i] ?? null,
+    price: data.packagePrices[i] ?? null,
+    deliveryDays: data.packageDeliveryDays[i] ?? null,
+    revisions: parseRevisions(data.packageRevisions[i]),
+  }));
+}
+
+// Function to scrape a single Fiverr gig page into a gig document
+export async function scrapeFiverrGig(gigUrl, { scrapedAt, ...options } = {}) {
+  const data = await scrapePage(gigUrl, "fiverr-gig", options);
+  if (!data) return null;
+
+  return {
+    schemaVersion: GIG_SCHEMA_VERSION,
+    platform: "fiverr",
+    specVersion: getPlatform("fiverr-gig").version,
+    gigUrl,
+    scrapedAt: new Date(scrapedAt ?? Date.now()).toISOString(),
+    title: data.title,
+    rating: data.rating,
+    ratingsCount: data.ratingsCount,
+    ordersInQueue: data.ordersInQueue,
+    description: data.description,
+    packages: buildPackages(data),
+    faq: data.faq,
+  };
+}
+
+// Crawl and pin every gig linked from a Fiverr profile. Returns a copy of the
+// profile whose gigs carry the CID of their pinned gig document (null when a
+// gig could not be crawled, validated or pinned). `onProgress(done, total)`
+// is called after each gig; `artifacts` records each gig page as "gig-<n>".
+export async function crawlGigs(profile, { storeData, artifacts, onProgress = () => {} }) {
+  const toCrawl = profile.gigs.filter((gig) => gig.link).slice(0, GIG_CRAWL_LIMIT);
+  const cids = new Map(); // { link: cid }
+
+  for (const [index, gig] of toCrawl.entries()) {
+    const gigData = await scrapeFiverrGig(gig.link, { artifacts, artifactLabel: `gig-${index + 1}` });
+
+    if (gigData) {
+      const { valid, errors } = validateGig(gigData);
+      if (valid) {
+        try {
+          cids.set(gig.link, await storeData(gigData, `Gig-${gig.title || gigData.title}`));
+        } catch (error) {
+          console.error(`❌ Failed to pin gig (${gig.link}):`, error.message);
+        }
+      } else {
+        console.error(`❌ Gig failed validation (${gig.link}):`, errors);
+      }
+    }
+
+    onProgress(index + 1, toCrawl.length);
+  }
+
+  return {
+    ...profile,
+    gigs: profile.gigs.map((gig) => ({ ...gig, cid: cids.get(gig.link) ?? null })),
+  };
+}
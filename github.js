@@ -0,0 +1,173 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import { GITHUB_SCHEMA_VERSION } from "./profile.js";
+
+dotenv.config();
+
+// Base URL of the GitHub REST API. Point GITHUB_API_URL at a local mock
+// server when testing.
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || "https://api.github.com").replace(/\/+$/, "");
+
+// Upper bound on the number of repositories pulled per account
+const MAX_REPOS = Number(process.env.GITHUB_MAX_REPOS) || 300;
+
+const github = axios.create({
+  baseURL: GITHUB_API_URL,
+  timeout: 15000,
+  headers: {
+    Accept: "application/vnd.github+json",
+    "X-GitHub-Api-Version": "2022-11-28",
+    ...(process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {}),
+  },
+});
+
+const USERNAME_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+// Accept either a bare username or a github.com profile URL (as stored in the
+// DID record) and return the username, or null for anything else
+export function parseGithubUsername(input) {
+  if (!input || typeof input !== "string") return null;
+  let value = input.trim();
+
+  if (/^https?:\/\//i.test(value)) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return null;
+    }
+    if (!["github.com", "www.github.com"].includes(url.hostname.toLowerCase())) return null;
+    [value] = url.pathname.split("/").filter(Boolean);
+  }
+
+  return value && USERNAME_PATTERN.test(value) ? value : null;
+}
+
+// Fetch every page of a list endpoint, up to `limit` items
+async function getAllPages(path, params, limit) {
+  const items = [];
+  for (let page = 1; items.length < limit; page++) {
+    const { data } = await github.get(path, { params: { ...params, per_page: 100, page } });
+    items.push(...data);
+    if (data.length < 100) break;
+  }
+  return items.slice(0, limit);
+}
+
+// Count recent activity from the public events feed. GitHub only exposes the
+// last 90 days (max 300 events) here, so this is a recent-activity signal
+// rather than a lifetime total.
+function countContributions(events) {
+  const contributions = { commits: 0, pullRequests: 0, pullRequestReviews: 0, issues: 0, events: events.length };
+
+  for (const event of events) {
+    switch (event.type) {
+      case "PushEvent":
+        contributions.commits += event.payload?.size ?? 0;
+        break;
+      case "PullRequestEvent":
+        if (event.payload?.action === "opened") contributions.pullRequests++;
+        break;
+      case "PullRequestReviewEvent":
+        contributions.pullRequestReviews++;
+        break;
+      case "IssuesEvent":
+        if (event.payload?.action === "opened") contributions.issues++;
+        break;
+    }
+  }
+
+  return contributions;
+}
+
+// Function to collect a GitHub account summary for the `github` DID field
+export async function fetchGithubProfile(usernameOrUrl) {
+  const username = parseGithubUsername(usernameOrUrl);
+  if (!username) {
+    console.error("❌ Invalid GitHub username:", usernameOrUrl);
+    return null;
+  }
+
+  console.log(`🔵 Fetching GitHub account: ${username}`);
+
+  try {
+    const { data: user } = await github.get(`/users/${encodeURIComponent(username)}`);
+
+    const [repos, events] = await Promise.all([
+      getAllPages(`/users/${encodeURIComponent(username)}/repos`, { type: "owner", sort: "pushed" }, MAX_REPOS),
+      getAllPages(`/users/${encodeURIComponent(username)}/events/public`, {}, 300),
+    ]);
+
+    // Forks say little about the account's own work
+    const ownRepos = repos.filter((repo) => !repo.fork);
+
+    const languageCounts = {};
+    for (const repo of ownRepos) {
+      if (repo.language) {
+        languageCounts[repo.language] = (languageCounts[repo.language] || 0) + 1;
+      }
+    }
+    const primaryLanguages = Object.entries(languageCounts)
+      .sort(([, a], [, b]) => b - a)
+      .map(([language, repoCount]) => ({ language, repos: repoCount }));
+
+    const createdAt = new Date(user.created_at);
+    const accountAgeDays = Math.floor((Date.now() - createdAt.getTime()) / (24 * 60 * 60 * 1000));
+
+    const summary = {
+      schemaVersion: GITHUB_SCHEMA_VERSION,
+      username: user.login,
+      name: user.name,
+      profileUrl: user.html_url,
+      bio: user.bio,
+      followers: user.followers,
+      accountCreatedAt: createdAt.toISOString(),
+      accountAgeDays,
+      publicRepos: user.public_repos,
+      totalStars: ownRepos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+      primaryLanguages,
+      contributions: countContributions(events),
+      repos: ownRepos.map((repo) => ({
+        name: repo.name,
+        url: repo.html_url,
+        description: repo.description,
+        language: repo.language,
+        stars: repo.stargazers_count,
+        forks: repo.forks_count,
+        pushedAt: repo.pushed_at,
+      })),
+      fetchedAt: new Date().toISOString(),
+    };
+
+    console.log(`✅ GitHub summary for ${summary.username}: ${summary.publicRepos} repos, ${summary.totalStars} stars`);
+    return summary;
+  } catch (error) {
+    console.error("❌ GitHub API Error:", error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Look for an ownership challenge code (see ownership.js) in the account's
+// bio or its most recent public gists. Returns { found, method, url }.
+export async function findGithubOwnershipCode(username, code) {
+  const { data: user } = await github.get(`/users/${encodeURIComponent(username)}`);
+  if (user.bio?.includes(code)) {
+    return { found: true, method: "github-bio", url: user.html_url };
+  }
+
+  const { data: gists } = await github.get(`/users/${encodeURIComponent(username)}/gists`, { params: { per_page: 10 } });
+  for (const gist of gists) {
+    if (gist.description?.includes(code)) {
+      return { found: true, method: "github-gist", url: gist.html_url };
+    }
+    for (const file of Object.values(gist.files ?? {})) {
+      if (!file.raw_url || file.size > 64 * 1024) continue;
+      const { data: content } = await axios.get(file.raw_url, { responseType: "text", timeout: 15000 });
+      if (String(content).includes(code)) {
+        return { found: true, method: "github-gist", url: gist.html_url };
+      }
+    }
+  }
+
+  return { found: false, method: null, url: null };
+}
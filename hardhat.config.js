@@ -0,0 +1,7 @@
+// Local dev chain for the tests (`npx hardhat node`, see test/helpers/chain.js).
+// Anvil works the same: point TEST_RPC_URL at it.
+module.exports = {
+  networks: {
+    hardhat: { chainId: 31337 },
+  },
+};
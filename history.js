@@ -0,0 +1,252 @@
+import express from "express";
+import dotenv from "dotenv";
+import { isAddress } from "ethers";
+import { openStore } from "./store.js";
+
+dotenv.config();
+
+// Version history of pinned profiles. Every pinned profile names the CID of
+// the version it supersedes (`previousVersion`), so the chain can be walked
+// on IPFS alone. Locally, data/profileHistory.json keeps one entry per
+// marketplace profile with every version and a snapshot of the fields that
+// are compared between versions, and links it to the wallets that scraped it.
+
+const history = openStore("profileHistory");
+
+// A jump of more than this many reviews between two versions is flagged
+const SUSPICIOUS_REVIEW_JUMP = Number(process.env.HISTORY_SUSPICIOUS_REVIEW_JUMP) || 50;
+// So is a change of the average rating by more than this
+const SUSPICIOUS_RATING_CHANGE = Number(process.env.HISTORY_SUSPICIOUS_RATING_CHANGE) || 0.5;
+
+// One history per marketplace profile, however its URL was written
+export function profileKey(platform, profileUrl) {
+  const url = new URL(profileUrl);
+  return `${platform}:${url.hostname.replace(/^www\./, "")}${url.pathname.replace(/\/+$/, "")}`.toLowerCase();
+}
+
+// The fields compared between versions
+function snapshotOf(profile) {
+  return {
+    skills: profile.skills ?? [],
+    gigs: (profile.gigs ?? []).map(({ title, link, cid }) => ({ title, link, cid: cid ?? null })),
+    // CIDs of the pinned images (see media.js), so they are not unpinned while
+    // a kept version still shows them
+    images: [...(profile.projects ?? []), ...(profile.gigs ?? [])]
+      .map((item) => item.image)
+      .filter((image) => image?.startsWith("ipfs://"))
+      .map((image) => image.slice("ipfs://".length)),
+    reviewsCount: profile.reviewsCount ?? null,
+    reviewStats: profile.reviewStats ?? null,
+    jobsCompleted: profile.jobsCompleted ?? null,
+    jobSuccessScore: profile.jobSuccessScore ?? null,
+  };
+}
+
+// CID of the latest pinned version of a profile, or null if it was never
+// pinned
+export function latestVersion(platform, profileUrl) {
+  const entry = history.get(profileKey(platform, profileUrl));
+  return entry ? entry.versions[entry.versions.length - 1].cid : null;
+}
+
+// Add a newly pinned profile to its history. `wallet` (optional) links the
+// profile to the identity that asked for it.
+export function recordVersion(profile, cid, { wallet } = {}) {
+  const key = profileKey(profile.platform, profile.profileUrl);
+  const entry = history.get(key) ?? {
+    platform: profile.platform,
+    profileUrl: profile.profileUrl,
+    wallets: [],
+    versions: [],
+  };
+
+  const wallets = wallet && !entry.wallets.includes(wallet.toLowerCase())
+    ? [...entry.wallets, wallet.toLowerCase()]
+    : entry.wallets;
+
+  // Identical content pins to the same CID; that is not a new version
+  const versions = entry.versions.some((version) => version.cid === cid)
+    ? entry.versions
+    : [
+        ...entry.versions,
+        {
+          version: entry.versions.length + 1,
+          cid,
+          previousVersion: profile.previousVersion ?? null,
+          scrapedAt: profile.scrapedAt,
+          pinnedAt: new Date().toISOString(),
+          snapshot: snapshotOf(profile),
+        },
+      ];
+
+  return history.set(key, { ...entry, wallets, versions });
+}
+
+// Every profile history
+export function allHistories() {
+  return history.values();
+}
+
+// Note that a version's document was unpinned. The version stays in the
+// history (later versions still point to it) but is no longer retrievable.
+export function markUnpinned(cid) {
+  for (const [key, entry] of history.entries()) {
+    if (!entry.versions.some((version) => version.cid === cid)) continue;
+    history.set(key, {
+      ...entry,
+      versions: entry.versions.map((version) =>
+        version.cid === cid ? { ...version, unpinnedAt: new Date().toISOString() } : version
+      ),
+    });
+  }
+}
+
+// Every profile history linked to a wallet, optionally only those of one
+// platform or of one profile (its URL however it is written). Throws on an
+// invalid profile URL.
+export function historyForWallet(wallet, { platform, profileUrl } = {}) {
+  const profile = profileUrl && profileKey("", profileUrl);
+  return history
+    .values()
+    .filter((entry) => entry.wallets.includes(wallet.toLowerCase()))
+    .filter((entry) => !platform || entry.platform === platform)
+    .filter((entry) => !profile || profileKey("", entry.profileUrl) === profile);
+}
+
+function delta(from, to) {
+  return from === null || from === undefined || to === null || to === undefined ? null : to - from;
+}
+
+// What changed between two versions of the same profile
+export function diffVersions(from, to) {
+  const a = from.snapshot;
+  const b = to.snapshot;
+
+  const gigsByLink = (gigs) => new Map(gigs.filter((gig) => gig.link).map((gig) => [gig.link, gig]));
+  const fromGigs = gigsByLink(a.gigs);
+  const toGigs = gigsByLink(b.gigs);
+  const ratingDelta = delta(a.reviewStats?.averageRating, b.reviewStats?.averageRating);
+
+  const diff = {
+    from: { version: from.version, cid: from.cid, scrapedAt: from.scrapedAt },
+    to: { version: to.version, cid: to.cid, scrapedAt: to.scrapedAt },
+    skills: {
+      added: b.skills.filter((skill) => !a.skills.includes(skill)),
+      removed: a.skills.filter((skill) => !b.skills.includes(skill)),
+    },
+    gigs: {
+      added: b.gigs.filter((gig) => gig.link && !fromGigs.has(gig.link)),
+      removed: a.gigs.filter((gig) => gig.link && !toGigs.has(gig.link)),
+      // Same gig, but its title or pinned gig document changed
+      changed: b.gigs
+        .filter((gig) => fromGigs.has(gig.link))
+        .map((gig) => ({ link: gig.link, from: fromGigs.get(gig.link), to: gig }))
+        .filter(({ from, to }) => from.title !== to.title || from.cid !== to.cid)
+        .map(({ link, from, to }) => ({ link, title: { from: from.title, to: to.title }, cid: { from: from.cid, to: to.cid } })),
+    },
+    reviews: {
+      reviewsCountDelta: delta(a.reviewsCount, b.reviewsCount),
+      collectedDelta: delta(a.reviewStats?.collected, b.reviewStats?.collected),
+      uniqueReviewersDelta: delta(a.reviewStats?.uniqueReviewers, b.reviewStats?.uniqueReviewers),
+      averageRatingDelta: ratingDelta === null ? null : Math.round(ratingDelta * 100) / 100,
+      jobsCompletedDelta: delta(a.jobsCompleted, b.jobsCompleted),
+      jobSuccessScoreDelta: delta(a.jobSuccessScore, b.jobSuccessScore),
+    },
+  };
+
+  diff.warnings = suspiciousChanges(diff.reviews);
+  return diff;
+}
+
+// Changes a verifier should look at twice
+function suspiciousChanges(reviews) {
+  const warnings = [];
+  const count = reviews.reviewsCountDelta ?? reviews.jobsCompletedDelta;
+
+  if (count !== null && count > SUSPICIOUS_REVIEW_JUMP) {
+    warnings.push(`Review count jumped by ${count}`);
+  }
+  if (count !== null && count < 0) {
+    warnings.push(`Review count dropped by ${-count}`);
+  }
+  if (reviews.averageRatingDelta !== null && Math.abs(reviews.averageRatingDelta) > SUSPICIOUS_RATING_CHANGE) {
+    warnings.push(`Average rating changed by ${reviews.averageRatingDelta}`);
+  }
+  return warnings;
+}
+
+// A version given as a number or a CID
+function findVersion(entry, ref) {
+  return entry.versions.find((version) => version.cid === ref || String(version.version) === String(ref)) ?? null;
+}
+
+// Versions as returned to clients: newest first, without snapshots unless asked
+function publicVersions(entry, withSnapshots) {
+  return entry.versions
+    .map(({ snapshot, ...version }) => (withSnapshots ? { ...version, snapshot } : version))
+    .reverse();
+}
+
+// Build the profile history routes
+export function createProfileHistoryRouter() {
+  const router = express.Router();
+
+  // Every pinned version of the wallet's profiles: ?platform=&snapshots=true
+  router.get("/api/profile/:wallet/history", (req, res) => {
+    const { wallet } = req.params;
+    if (!isAddress(wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+
+    const entries = historyForWallet(wallet, { platform: req.query.platform });
+    return res.json({
+      success: true,
+      wallet,
+      profiles: entries.map((entry) => ({
+        platform: entry.platform,
+        profileUrl: entry.profileUrl,
+        versions: publicVersions(entry, req.query.snapshots === "true"),
+      })),
+    });
+  });
+
+  // Changes between two versions: ?platform=&profileUrl=&from=&to= (version
+  // numbers or CIDs; by default the last two versions). A wallet with several
+  // profiles on one platform needs profileUrl to pick one.
+  router.get("/api/profile/:wallet/history/diff", (req, res) => {
+    const { wallet } = req.params;
+    const { platform, profileUrl } = req.query;
+    if (!isAddress(wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+
+    let entries;
+    try {
+      entries = historyForWallet(wallet, { platform, profileUrl });
+    } catch {
+      return res.status(400).json({ error: "❌ Profile URL is not a valid URL" });
+    }
+    if (entries.length === 0) {
+      return res.status(404).json({ success: false, error: "No profile history for this wallet" });
+    }
+    if (entries.length > 1) {
+      return res.status(400).json({
+        error: "❌ Wallet has several profiles; pass ?platform= or ?profileUrl= to pick one",
+        profiles: entries.map((entry) => ({ platform: entry.platform, profileUrl: entry.profileUrl })),
+      });
+    }
+
+    const [entry] = entries;
+    const { versions } = entry;
+    const to = req.query.to ? findVersion(entry, req.query.to) : versions[versions.length - 1];
+    const from = req.query.from ? findVersion(entry, req.query.from) : versions[versions.length - 2];
+
+    if (!from || !to) {
+      return res.status(404).json({ success: false, error: "Version not found (a diff needs two versions)" });
+    }
+
+    return res.json({ success: true, platform: entry.platform, profileUrl: entry.profileUrl, diff: diffVersions(from, to) });
+  });
+
+  return router;
+}
@@ -0,0 +1,227 @@
+import express from "express";
+import dotenv from "dotenv";
+import { openStore } from "./store.js";
+import { formatDidRecord } from "./contract.js";
+import { OWNERSHIP_PLATFORMS, normalizeAccount } from "./ownership.js";
+
+dotenv.config();
+
+// DIDRegistered event indexer.
+//
+// Backfills the registry's DIDRegistered events from INDEXER_START_BLOCK,
+// then polls for new blocks. Only blocks INDEXER_CONFIRMATIONS deep are
+// indexed, so ordinary reorgs never reach the store; if a deeper one replaces
+// the last indexed block anyway, the indexer rewinds past it and indexes the
+// new chain again. Each DID is stored with its didRecords details and
+// normalized platform handles (data/didIndex.json), so identities can be
+// listed and looked up without calling the contract wallet by wallet.
+
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK) || 0;
+const CONFIRMATIONS = process.env.INDEXER_CONFIRMATIONS !== undefined ? Number(process.env.INDEXER_CONFIRMATIONS) : 6;
+const POLL_MS = Number(process.env.INDEXER_POLL_MS) || 15000;
+// Blocks per eth_getLogs call; many RPC providers cap the range
+const BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS) || 2000;
+const PAGE_SIZE = Number(process.env.DIDS_PAGE_SIZE) || 50;
+
+const dids = openStore("didIndex"); // { did: entry }
+const state = openStore("indexerState"); // { cursor: { blockNumber, blockHash } }
+
+// Handles of a record, normalized the way ownership proofs are
+function handlesOf(record) {
+  return Object.fromEntries(
+    OWNERSHIP_PLATFORMS.map((platform) => [platform, normalizeAccount(platform, record[platform])?.handle ?? null])
+  );
+}
+
+// Drop everything indexed after `blockNumber`
+function forgetAfter(blockNumber) {
+  for (const entry of dids.values()) {
+    if (entry.blockNumber > blockNumber) dids.delete(entry.did);
+  }
+}
+
+// The indexed entry of a DID, or null
+export function indexedDid(did) {
+  return dids.get(did);
+}
+
+// Build an indexer for the registry `contract` (see contract.js). Returns
+// { start, stop, syncOnce, status }.
+export function createDidIndexer(contract) {
+  const provider = contract.runner.provider;
+  let timer = null;
+  let syncing = null;
+  let lastHead = null;
+
+  // Rewind if the last indexed block is no longer on the chain
+  async function checkForReorg() {
+    const cursor = state.get("cursor");
+    if (!cursor) return;
+
+    const block = await provider.getBlock(cursor.blockNumber);
+    if (block?.hash === cursor.blockHash) return;
+
+    const rewindTo = Math.max(cursor.blockNumber - Math.max(CONFIRMATIONS, 1) * 2, START_BLOCK - 1);
+    console.warn(`⚠️ Reorg at block ${cursor.blockNumber}: re-indexing from block ${rewindTo + 1}`);
+    forgetAfter(rewindTo);
+    const rewound = rewindTo >= START_BLOCK ? await provider.getBlock(rewindTo) : null;
+    state.set("cursor", rewound ? { blockNumber: rewound.number, blockHash: rewound.hash } : null);
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    const events = await contract.queryFilter(contract.filters.DIDRegistered(), fromBlock, toBlock);
+
+    for (const event of events) {
+      const [user, did, timestamp] = event.args;
+      // The record as of the event's block, not as later registrations left it
+      const record = formatDidRecord(await contract.didRecords(did, { blockTag: event.blockNumber }));
+      dids.set(did, {
+        did,
+        user,
+        timestamp: Number(timestamp),
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        logIndex: event.index,
+        record,
+        handles: handlesOf(record),
+        indexedAt: new Date().toISOString(),
+      });
+    }
+
+    if (events.length > 0) {
+      console.log(`📝 Indexed ${events.length} DID registrations in blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  // Index every confirmed block not indexed yet
+  async function sync() {
+    await checkForReorg();
+
+    lastHead = await provider.getBlockNumber();
+    const target = lastHead - CONFIRMATIONS;
+    let from = (state.get("cursor")?.blockNumber ?? START_BLOCK - 1) + 1;
+
+    while (from <= target) {
+      const to = Math.min(from + BATCH_BLOCKS - 1, target);
+      await indexRange(from, to);
+
+      const block = await provider.getBlock(to);
+      state.set("cursor", { blockNumber: block.number, blockHash: block.hash });
+      from = to + 1;
+    }
+  }
+
+  // One sync at a time; a call while one is running waits for it
+  function syncOnce() {
+    if (!syncing) {
+      syncing = sync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  async function poll() {
+    try {
+      await syncOnce();
+    } catch (error) {
+      console.error("❌ DID indexer sync failed:", error.message);
+    }
+    if (timer) timer = setTimeout(poll, POLL_MS);
+  }
+
+  return {
+    syncOnce,
+    start() {
+      if (timer) return;
+      console.log(`🔵 Indexing DIDRegistered events from block ${state.get("cursor")?.blockNumber ?? START_BLOCK} (${CONFIRMATIONS} confirmations)`);
+      timer = setTimeout(poll, 0);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+    status() {
+      const cursor = state.get("cursor");
+      return {
+        startBlock: START_BLOCK,
+        confirmations: CONFIRMATIONS,
+        indexedThrough: cursor?.blockNumber ?? null,
+        head: lastHead,
+        total: dids.values().length,
+      };
+    },
+  };
+}
+
+// Parse `since` (unix seconds or an ISO date) into unix seconds
+function parseSince(since) {
+  if (since === undefined) return 0;
+  const seconds = /^\d+$/.test(since) ? Number(since) : Math.floor(Date.parse(since) / 1000);
+  return Number.isNaN(seconds) ? null : seconds;
+}
+
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+// Build the /api/dids routes over the local index. `indexer` (optional) adds
+// its sync status.
+export function createDidIndexRouter({ indexer = null } = {}) {
+  const router = express.Router();
+
+  // Indexed DIDs in registration order: ?since= (unix seconds or ISO date of
+  // registration), ?page= (from 1), ?limit=
+  router.get("/api/dids", (req, res) => {
+    const since = parseSince(req.query.since);
+    const page = Number(req.query.page ?? 1);
+    const limit = Math.min(Number(req.query.limit) || PAGE_SIZE, 500);
+
+    if (since === null) {
+      return res.status(400).json({ error: "❌ since must be unix seconds or an ISO date" });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "❌ page must be a whole number from 1" });
+    }
+
+    const matching = dids
+      .values()
+      .filter((entry) => entry.timestamp >= since)
+      .sort(byChainOrder);
+    const start = (page - 1) * limit;
+
+    return res.json({
+      success: true,
+      total: matching.length,
+      page,
+      pages: Math.ceil(matching.length / limit),
+      dids: matching.slice(start, start + limit),
+      indexer: indexer?.status() ?? null,
+    });
+  });
+
+  // DIDs registered with a Fiverr, GitHub or Upwork handle (or profile URL)
+  router.get("/api/dids/:platform/:handle", (req, res) => {
+    const { platform } = req.params;
+    if (!OWNERSHIP_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `❌ Platform must be one of ${OWNERSHIP_PLATFORMS.join(", ")}` });
+    }
+
+    const account = normalizeAccount(platform, req.params.handle);
+    if (!account) {
+      return res.status(400).json({ error: `❌ Not a valid ${platform} handle` });
+    }
+
+    const matching = dids
+      .values()
+      .filter((entry) => entry.handles[platform] === account.handle)
+      .sort(byChainOrder);
+    if (matching.length === 0) {
+      return res.status(404).json({ success: false, error: `No DID registered with ${platform} handle ${account.handle}` });
+    }
+    return res.json({ success: true, total: matching.length, dids: matching });
+  });
+
+  return router;
+}
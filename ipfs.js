@@ -1,29 +1,157 @@
-import { create } from "ipfs-http-client";
+import crypto from "crypto";
 import dotenv from "dotenv";
+import { StorageError, createStorageProvider } from "./storage.js";
+import { contentHash, findPin, recordPin, touchPin, forgetPin, listPins } from "./pins.js";
 
 dotenv.config();
 
-// Configure IPFS client using Infura credentials
-const projectId = process.env.INFURA_PROJECT_ID;
-const projectSecret = process.env.INFURA_PROJECT_SECRET;
-const auth = "Basic " + Buffer.from(projectId + ":" + projectSecret).toString("base64");
-
-const ipfs = create({
-  host: "ipfs.infura.io",
-  port: 5001,
-  protocol: "https",
-  headers: {
-    authorization: auth,
-  },
-});
-
-export async function storeDataOnIPFS(data) {
-  try {
-    const jsonData = JSON.stringify(data);
-    const result = await ipfs.add(jsonData);
-    return result.cid.toString();
-  } catch (error) {
-    console.error("Error uploading to IPFS:", error);
-    return null;
+// Where pinned data goes. STORAGE_PROVIDER picks the primary provider
+// (pinata, infura, kubo or memory; by default whichever credentials are set)
+// and STORAGE_MIRRORS an optional comma-separated list of providers that get
+// a copy as well. The CID returned is always the primary's: a mirror that
+// fails or disagrees on the CID is logged, never fatal.
+//
+// Every upload is recorded in the pin index (pins.js). Data that was already
+// pinned on the same primary provider is not uploaded again; its existing CID
+// is returned instead.
+
+export { StorageError } from "./storage.js";
+
+let storage = null; // { primary, mirrors }
+
+function defaultProviderName() {
+  if (process.env.PINATA_API_KEY) return "pinata";
+  if (process.env.INFURA_PROJECT_ID) return "infura";
+  throw new StorageError(
+    "CONFIG",
+    "No storage provider configured. Set STORAGE_PROVIDER, or Pinata or Infura credentials, in your .env file."
+  );
+}
+
+function getStorage() {
+  if (!storage) {
+    const primary = createStorageProvider(process.env.STORAGE_PROVIDER || defaultProviderName());
+    const mirrors = (process.env.STORAGE_MIRRORS || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => name && name !== primary.name)
+      .map(createStorageProvider);
+    storage = { primary, mirrors };
+  }
+  return storage;
+}
+
+// Check the storage configuration up front, so a server fails on start-up
+// rather than on its first upload. Throws a StorageError ("CONFIG").
+export function initStorage() {
+  const { primary, mirrors } = getStorage();
+  console.log(`🔵 Storing data on ${[primary, ...mirrors].map((provider) => provider.name).join(" + ")}`);
+}
+
+// Upload to the primary and every mirror, record the result in the pin index
+// and return the primary's CID. `store(provider)` does the upload.
+async function storeOnProviders(hash, metadataName, size, store) {
+  const { primary, mirrors } = getStorage();
+
+  const existing = findPin(hash);
+  if (existing && existing.provider === primary.name) {
+    console.log(`⚠️ Duplicate detected (${metadataName}). Returning existing CID.`);
+    touchPin(hash);
+    return existing.cid;
+  }
+
+  const [primaryResult, ...mirrorResults] = await Promise.allSettled([primary, ...mirrors].map(store));
+
+  if (primaryResult.status === "rejected") {
+    console.error(`❌ IPFS Upload Error (${metadataName}):`, primaryResult.reason.message);
+    throw primaryResult.reason;
+  }
+
+  const cid = primaryResult.value;
+  const mirrored = [];
+  mirrorResults.forEach((result, i) => {
+    if (result.status === "rejected") {
+      console.error(`⚠️ Mirror upload to ${mirrors[i].name} failed (${metadataName}):`, result.reason.message);
+      return;
+    }
+    if (result.value !== cid) {
+      console.error(`⚠️ ${mirrors[i].name} stored ${metadataName} as ${result.value}, ${primary.name} as ${cid}`);
+    }
+    mirrored.push({ provider: mirrors[i].name, cid: result.value });
+  });
+
+  recordPin(hash, { cid, provider: primary.name, mirrors: mirrored, metadataName, size });
+  return cid;
+}
+
+// Function to store JSON data on IPFS (with duplicate prevention). Returns the
+// CID, or throws a StorageError.
+export async function storeDataOnIPFS(data, metadataName = "ProfileData") {
+  return storeOnProviders(contentHash(data), metadataName, Buffer.byteLength(JSON.stringify(data)), (provider) =>
+    provider.storeJson(data, { name: metadataName })
+  );
+}
+
+// Function to store a file (raw bytes) on IPFS, deduplicated by the sha256 of
+// its bytes. Returns the CID, or throws a StorageError.
+export async function storeFileOnIPFS(bytes, metadataName = "File") {
+  const hash = crypto.createHash("sha256").update(bytes).digest("hex");
+  return storeOnProviders(hash, metadataName, bytes.length, (provider) =>
+    provider.storeFile(bytes, { name: metadataName })
+  );
+}
+
+// Read back the bytes behind a CID from the configured providers, primary
+// first. Throws the last provider's StorageError if none has it.
+export async function fetchFromIPFS(cid) {
+  const { primary, mirrors } = getStorage();
+  let lastError;
+
+  for (const provider of [primary, ...mirrors]) {
+    try {
+      return await provider.cat(cid);
+    } catch (error) {
+      lastError = error;
+    }
   }
+  throw lastError;
+}
+
+// Pins held by the primary provider, optionally only those named `name`.
+// Providers that keep no names are matched against the pin index instead.
+export async function listPinsOnIPFS({ name } = {}) {
+  const { primary } = getStorage();
+  const pins = await primary.listPins({ name });
+  const indexed = new Map(listPins().map((pin) => [pin.cid, pin]));
+
+  return pins
+    .map((pin) => ({ ...pin, name: pin.name ?? indexed.get(pin.cid)?.metadataName ?? null, provider: primary.name }))
+    .filter((pin) => !name || pin.name === name);
+}
+
+// Remove a CID from the primary and every mirror, and from the pin index.
+// A provider that no longer has it is not an error. Returns the providers it
+// was removed from.
+export async function unpinFromIPFS(cid) {
+  const { primary, mirrors } = getStorage();
+  const removedFrom = [];
+
+  for (const provider of [primary, ...mirrors]) {
+    try {
+      await provider.unpin(cid);
+      removedFrom.push(provider.name);
+    } catch (error) {
+      if (error.code !== "NOT_FOUND") throw error;
+    }
+  }
+
+  forgetPin(cid);
+  console.log(`🛑 Unpinned ${cid}${removedFrom.length ? ` from ${removedFrom.join(", ")}` : " (was not pinned)"}`);
+  return removedFrom;
+}
+
+// Link handed back to clients for a CID: through IPFS_GATEWAY_URL if set
+export function ipfsUrl(cid) {
+  const gateway = process.env.IPFS_GATEWAY_URL;
+  return gateway ? `${gateway.replace(/\/+$/, "")}/ipfs/${cid}` : `ipfs://${cid}`;
 }
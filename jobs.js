@@ -0,0 +1,357 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import express from "express";
+import { isAddress, computeAddress } from "ethers";
+import { scrapeProfile } from "./scrape.js";
+import { crawlGigs } from "./gigs.js";
+import { pinProfileMedia } from "./media.js";
+import { getPlatformForUrl, getPlatform } from "./platforms.js";
+import { validateProfile } from "./profile.js";
+import { openStore } from "./store.js";
+import { latestVersion, recordVersion } from "./history.js";
+import { createRedactor, protectProfile, resolvePublicKey } from "./privacy.js";
+import { issueProfileCredential } from "./credentials.js";
+import { isSignedInAs } from "./siwe.js";
+import { findOwnershipProof } from "./ownership.js";
+import { createArtifactRecorder, listArtifacts, getArtifactPath } from "./artifacts.js";
+
+// Asynchronous scrape jobs.
+//
+// POST /scrape queues a job and returns its id straight away. The job then
+// moves through queued -> navigating -> extracting -> pinning -> done (or
+// failed at any point). Fiverr jobs also crawl every gig while extracting,
+// and every job pins the profile's images (see media.js), reporting how far
+// they got in `progress`. Diagnostics for each job are kept
+// under data/artifacts/<jobId>/ (see artifacts.js), and each pinned profile is
+// added to its version history (see history.js). Jobs linked to a wallet
+// also get a signed credential for what was scraped (see credentials.js).
+// Jobs are persisted in data/jobs.json, and jobs that were still running when
+// the process stopped are re-queued on start-up.
+
+export const JOB_STATES = ["queued", "navigating", "extracting", "pinning", "done", "failed"];
+const FINISHED_STATES = new Set(["done", "failed"]);
+
+// Jobs run at most this many at a time; the rest stay "queued"
+const JOB_CONCURRENCY = Number(process.env.SCRAPE_JOB_CONCURRENCY) || Number(process.env.BROWSER_POOL_SIZE) || 2;
+
+// Set PIN_MEDIA=false to keep image URLs pointing at the marketplace
+const PIN_MEDIA = process.env.PIN_MEDIA !== "false";
+
+const jobs = openStore("jobs");
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // one listener per open SSE stream
+
+const queue = []; // ids of jobs waiting to run
+let runningJobs = 0;
+
+function updateJob(id, changes) {
+  const job = jobs.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  jobEvents.emit("update", job);
+  return job;
+}
+
+// Run a job's steps and return the final changes to record (state "done" or
+// "failed"). Intermediate states are recorded as they happen.
+async function runJobSteps(job, { storeData, storeFile, ipfsUrl, artifacts }) {
+  const { id } = job;
+  const platform = getPlatform(job.platform);
+
+  let scrapedData = await scrapeProfile(job.profileUrl, job.platform, {
+    artifacts,
+    onProgress: (state) => updateJob(id, { state }),
+  });
+  if (!scrapedData) {
+    return { state: "failed", error: `Failed to scrape ${platform.displayName} profile` };
+  }
+
+  // With the owner's PII kept private, the username and name are also taken
+  // out of the URLs and text of everything pinned from this profile
+  const { profileUrl } = scrapedData;
+  const redact = job.encryptFor ? createRedactor(scrapedData) : (data) => data;
+
+  // Follow each gig and pin it as its own document
+  if (job.platform === "fiverr") {
+    scrapedData = await crawlGigs(scrapedData, {
+      storeData: (data, metadataName) => storeData(redact(data), redact(metadataName)),
+      artifacts,
+      onProgress: (done, total) => updateJob(id, { progress: `Crawled ${done}/${total} gigs` }),
+    });
+  }
+
+  // Pin project images and gig thumbnails so the profile does not depend on
+  // the marketplace CDN
+  if (storeFile && PIN_MEDIA) {
+    scrapedData = await pinProfileMedia(scrapedData, {
+      storeFile,
+      onProgress: (done, total) => updateJob(id, { progress: `Pinned ${done}/${total} images` }),
+    });
+  }
+
+  // Chain the new version to the last one pinned for this profile
+  scrapedData = { ...scrapedData, previousVersion: latestVersion(job.platform, job.profileUrl) };
+
+  // Keep PII out of the public document when the owner asked for it
+  if (job.encryptFor) {
+    scrapedData = protectProfile(scrapedData, { publicKeys: [job.encryptFor], redact });
+  }
+
+  // Never pin a payload that does not match the profile schema
+  const { valid, errors } = validateProfile(scrapedData);
+  if (!valid) {
+    console.error(`❌ Job ${id}: scraped profile failed validation:`, errors);
+    return { state: "failed", error: "Scraped profile failed validation", details: errors };
+  }
+
+  updateJob(id, { state: "pinning" });
+  let cid;
+  try {
+    cid = await storeData(scrapedData, `${platform.displayName}ProfileData`);
+  } catch (error) {
+    return { state: "failed", error: `Failed to upload data to IPFS: ${error.message}`, code: error.code ?? null };
+  }
+
+  // The history and the credential name the account itself, not its stand-in
+  scrapedData = { ...scrapedData, profileUrl };
+  recordVersion(scrapedData, cid, { wallet: job.wallet });
+
+  // Attest the wallet's link to the account; the job still succeeds without it
+  let credential = null;
+  if (job.wallet) {
+    try {
+      credential = issueProfileCredential(scrapedData, cid, { wallet: job.wallet });
+    } catch (error) {
+      console.error(`⚠️ Job ${id}: could not issue a credential:`, error.message);
+    }
+  }
+
+  console.log(`✅ Job ${id} done: ${cid}`);
+  return { state: "done", cid, ipfsUrl: ipfsUrl(cid), credentialId: credential?.id ?? null, credential: credential?.jwt ?? null };
+}
+
+async function runJob(id, options) {
+  const artifacts = createArtifactRecorder(id);
+  let result;
+
+  try {
+    result = await runJobSteps(jobs.get(id), { ...options, artifacts });
+  } catch (error) {
+    console.error(`❌ Job ${id} failed:`, error);
+    result = { state: "failed", error: error.message };
+  }
+
+  // Write the logs before announcing the outcome, so they are there as soon
+  // as a client sees the job finish
+  artifacts.flush();
+  return updateJob(id, result);
+}
+
+function enqueueJob(id, options) {
+  queue.push(id);
+  drainQueue(options);
+}
+
+function drainQueue(options) {
+  while (runningJobs < JOB_CONCURRENCY && queue.length > 0) {
+    runningJobs++;
+    runJob(queue.shift(), options).finally(() => {
+      runningJobs--;
+      drainQueue(options);
+    });
+  }
+}
+
+// The wallet a job belongs to: the one it links the profile to, or the one
+// it encrypts PII for. Null for an anonymous job, which anyone may read.
+function jobOwner(job) {
+  return job.wallet || (job.encryptFor ? computeAddress(job.encryptFor) : null);
+}
+
+// The job with the request's id, or a response already sent: 404 when there
+// is none, 401 unless the request is signed in as the job's owner
+function findJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({ success: false, error: "Job not found" });
+    return null;
+  }
+  const owner = jobOwner(job);
+  if (owner && !isSignedInAs(req, owner)) {
+    res.status(401).json({ success: false, error: "❌ Sign in with Ethereum as the job's wallet to see it" });
+    return null;
+  }
+  return job;
+}
+
+function sendEvent(res, job) {
+  res.write(`data: ${JSON.stringify(job)}\n\n`);
+}
+
+// Build the /scrape job routes. `storeData(data, metadataName)` pins a profile
+// and returns its CID, throwing a StorageError on failure (see ipfs.js);
+// `storeFile(bytes, metadataName)` (optional) does the same for images;
+// `ipfsUrl(cid)` formats the link returned to clients.
+export function createScrapeJobRouter({ storeData, storeFile = null, ipfsUrl = (cid) => `ipfs://${cid}` }) {
+  const router = express.Router();
+  const options = { storeData, storeFile, ipfsUrl };
+
+  // Pick up jobs interrupted by a restart
+  for (const job of jobs.values()) {
+    if (!FINISHED_STATES.has(job.state)) {
+      console.log(`🔁 Re-queuing interrupted job ${job.id} (${job.state})`);
+      updateJob(job.id, { state: "queued" });
+      enqueueJob(job.id, options);
+    }
+  }
+
+  // Queue a scrape of a supported profile (Fiverr, Upwork). `wallet` is
+  // optional and links the profile's version history to that identity; it
+  // needs a Sign-In with Ethereum session for that wallet (see siwe.js) and
+  // the wallet's ownership proof for the profile (see ownership.js).
+  // `encryptFor` (optional, the wallet's public key or a message signed by
+  // it) pins PII fields as commitments, with the values encrypted for that
+  // wallet.
+  router.post("/scrape", (req, res) => {
+    const { profileUrl, wallet } = req.body;
+
+    if (!profileUrl) {
+      return res.status(400).json({ error: "❌ Profile URL is required" });
+    }
+    if (wallet && !isAddress(wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+    if (wallet && !isSignedInAs(req, wallet)) {
+      return res.status(401).json({ error: "❌ Sign in with Ethereum as this wallet to link profiles to it" });
+    }
+
+    let encryptFor = null;
+    if (req.body.encryptFor) {
+      try {
+        const recipient = resolvePublicKey(req.body.encryptFor);
+        if (wallet && recipient.wallet.toLowerCase() !== wallet.toLowerCase()) {
+          return res.status(400).json({ error: "❌ Encryption key does not belong to the wallet" });
+        }
+        encryptFor = recipient.publicKey;
+      } catch (error) {
+        return res.status(400).json({ error: `❌ Invalid encryption key: ${error.message}` });
+      }
+    }
+
+    let platform;
+    try {
+      platform = getPlatformForUrl(profileUrl);
+    } catch {
+      return res.status(400).json({ error: "❌ Profile URL is not a valid URL" });
+    }
+    if (!platform) {
+      return res.status(400).json({ error: "❌ Unsupported profile platform" });
+    }
+    if (wallet && !findOwnershipProof(wallet, platform.platform, profileUrl)) {
+      return res.status(403).json({ error: "❌ Prove the wallet controls this profile first (POST /api/ownership/challenges)" });
+    }
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const job = jobs.set(id, {
+      id,
+      state: "queued",
+      platform: platform.platform,
+      profileUrl,
+      wallet: wallet || null,
+      encryptFor,
+      cid: null,
+      ipfsUrl: null,
+      credentialId: null,
+      credential: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    enqueueJob(job.id, options);
+
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/scrape/jobs/${job.id}`,
+      eventsUrl: `/scrape/jobs/${job.id}/events`,
+    });
+  });
+
+  // Current state of a job. Jobs linked to a wallet, or encrypted for one,
+  // are only shown to that wallet's session: they carry the credential and,
+  // in their artifacts, the unredacted pages.
+  router.get("/scrape/jobs/:id", (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    return res.json({ success: true, job });
+  });
+
+  // Diagnostics saved for a job: screenshots, final HTML, console and network logs
+  router.get("/scrape/jobs/:id/artifacts", (req, res) => {
+    if (!findJob(req, res)) return;
+
+    const artifacts = listArtifacts(req.params.id);
+    if (!artifacts) {
+      return res.status(404).json({ success: false, error: "No artifacts for this job (not started yet, or pruned)" });
+    }
+
+    return res.json({
+      success: true,
+      artifacts: artifacts.map((artifact) => ({
+        ...artifact,
+        url: `/scrape/jobs/${req.params.id}/artifacts/${encodeURIComponent(artifact.name)}`,
+      })),
+    });
+  });
+
+  // Download one artifact
+  router.get("/scrape/jobs/:id/artifacts/:name", (req, res) => {
+    if (!findJob(req, res)) return;
+    const filePath = getArtifactPath(req.params.id, req.params.name);
+    if (!filePath) {
+      return res.status(404).json({ success: false, error: "Artifact not found" });
+    }
+    return res.download(filePath);
+  });
+
+  // Server-sent events: the current state first, then every change until the
+  // job finishes
+  router.get("/scrape/jobs/:id/events", (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    sendEvent(res, job);
+
+    if (FINISHED_STATES.has(job.state)) {
+      return res.end();
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    const onUpdate = (updated) => {
+      if (updated.id !== job.id) return;
+      sendEvent(res, updated);
+      if (FINISHED_STATES.has(updated.state)) {
+        stop();
+        res.end();
+      }
+    };
+
+    const stop = () => {
+      clearInterval(keepAlive);
+      jobEvents.off("update", onUpdate);
+    };
+
+    jobEvents.on("update", onUpdate);
+    req.on("close", stop);
+  });
+
+  return router;
+}
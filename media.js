@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Profile media (project images, gig thumbnails) pinned next to the profile.
+// Marketplace CDN links rot or get blocked, so during a scrape each image is
+// downloaded, checked, pinned, and its URL in the profile replaced by
+// ipfs://<cid>. `imageMedia` keeps the sha256 of the file and where it came
+// from, so the pinned profile can be verified without the original site.
+
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+const MEDIA_TIMEOUT_MS = Number(process.env.MEDIA_TIMEOUT_MS) || 20000;
+
+// Accepted image types, recognised by their first bytes rather than by what
+// the server claims
+const IMAGE_SIGNATURES = [
+  { contentType: "image/jpeg", matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { contentType: "image/png", matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: "image/gif", matches: (bytes) => bytes.subarray(0, 4).toString("latin1") === "GIF8" },
+  { contentType: "image/webp", matches: (bytes) => bytes.subarray(0, 4).toString("latin1") === "RIFF" && bytes.subarray(8, 12).toString("latin1") === "WEBP" },
+];
+
+const ALLOWED_TYPES = (process.env.MEDIA_ALLOWED_TYPES || IMAGE_SIGNATURES.map((signature) => signature.contentType).join(","))
+  .split(",")
+  .map((type) => type.trim());
+
+function sniffContentType(bytes) {
+  return IMAGE_SIGNATURES.find((signature) => signature.matches(bytes))?.contentType ?? null;
+}
+
+// Download one image and check its size and type. Throws if it is refused.
+export async function downloadMedia(url) {
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    timeout: MEDIA_TIMEOUT_MS,
+    maxContentLength: MEDIA_MAX_BYTES,
+    maxRedirects: 3,
+  });
+
+  const bytes = Buffer.from(response.data);
+  if (bytes.length > MEDIA_MAX_BYTES) {
+    throw new Error(`File is larger than ${MEDIA_MAX_BYTES} bytes`);
+  }
+
+  const contentType = sniffContentType(bytes);
+  if (!contentType || !ALLOWED_TYPES.includes(contentType)) {
+    throw new Error(`Not an accepted image type (${response.headers["content-type"] ?? "unknown"})`);
+  }
+
+  return { bytes, contentType };
+}
+
+// Download and pin one image. Returns the fields to merge into its item:
+// { image: "ipfs://<cid>", imageMedia } or, when it could not be pinned, the
+// original URL with imageMedia null.
+async function pinImage(url, { storeFile, name }) {
+  if (!url || !/^https?:\/\//.test(url)) return { image: url, imageMedia: null };
+
+  try {
+    const { bytes, contentType } = await downloadMedia(url);
+    const cid = await storeFile(bytes, name);
+    return {
+      image: `ipfs://${cid}`,
+      imageMedia: {
+        sha256: crypto.createHash("sha256").update(bytes).digest("hex"),
+        size: bytes.length,
+        contentType,
+        sourceUrl: url,
+      },
+    };
+  } catch (error) {
+    console.error(`⚠️ Could not pin image ${url}:`, error.message);
+    return { image: url, imageMedia: null };
+  }
+}
+
+// Pin the project images and gig thumbnails of a profile. Returns a copy of
+// the profile with their URLs rewritten. `storeFile(bytes, name)` pins a file
+// and returns its CID; `onProgress(done, total)` is called after each image.
+export async function pinProfileMedia(profile, { storeFile, onProgress = () => {} }) {
+  const projects = profile.projects ?? [];
+  const gigs = profile.gigs ?? [];
+  const total = [...projects, ...gigs].filter((item) => item.image).length;
+  let done = 0;
+
+  const pinItems = async (items, label) => {
+    const pinned = [];
+    for (const [index, item] of items.entries()) {
+      if (!item.image) {
+        pinned.push({ ...item, imageMedia: null });
+        continue;
+      }
+      pinned.push({ ...item, ...(await pinImage(item.image, { storeFile, name: `${label}-${index + 1}-${profile.platform}` })) });
+      onProgress(++done, total);
+    }
+    return pinned;
+  };
+
+  const result = { ...profile, projects: await pinItems(projects, "ProjectImage") };
+  if (profile.gigs) {
+    result.gigs = await pinItems(gigs, "GigThumbnail");
+  }
+  return result;
+}
@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { getAddress, isAddress } from "ethers";
+import { openStore } from "./store.js";
+import { requireSession } from "./siwe.js";
+import { scrapeOwnershipText } from "./scrape.js";
+import { parseGithubUsername, findGithubOwnershipCode } from "./github.js";
+import { credentialsEnabled, issueOwnershipCredential, getCredential } from "./credentials.js";
+
+dotenv.config();
+
+// Account-ownership challenges.
+//
+// Before a wallet can link a Fiverr, Upwork or GitHub account (in its DID
+// record or through a scrape), it has to show it controls the account: the
+// service hands the signed-in wallet a one-time code, the user puts it in
+// their Fiverr bio, Upwork overview, GitHub bio or a public gist, and the
+// service re-reads the account. When the code is there, the service signs an
+// AccountOwnershipCredential (see credentials.js) for the wallet and handle.
+// The code can come down again afterwards.
+
+export const OWNERSHIP_PLATFORMS = ["fiverr", "upwork", "github"];
+
+const CHALLENGE_TTL_MS = (Number(process.env.OWNERSHIP_CHALLENGE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Re-reads of the account allowed per challenge
+const MAX_ATTEMPTS = Number(process.env.OWNERSHIP_MAX_ATTEMPTS) || 5;
+
+const challenges = openStore("ownershipChallenges"); // { id: { wallet, platform, handle, code, ..., proofId } }
+const verifying = new Set(); // ids of challenges being checked right now
+
+// Reduce a handle or profile URL to { handle, profileUrl }, or null if it is
+// not one of the platform's accounts
+export function normalizeAccount(platform, value) {
+  if (!value || typeof value !== "string") return null;
+  const input = value.trim();
+  let handle = null;
+
+  if (platform === "github") {
+    handle = parseGithubUsername(input);
+    return handle && { handle: handle.toLowerCase(), profileUrl: `https://github.com/${handle.toLowerCase()}` };
+  }
+
+  if (/^https?:\/\//i.test(input)) {
+    let url;
+    try {
+      url = new URL(input);
+    } catch {
+      return null;
+    }
+    const segments = url.pathname.split("/").filter(Boolean);
+    handle = platform === "upwork" ? segments[segments.indexOf("freelancers") + 1] : segments[0];
+  } else {
+    handle = input.replace(/^@/, "");
+  }
+
+  if (!handle || !/^~?[\w.-]+$/.test(handle)) return null;
+  handle = handle.toLowerCase();
+  const profileUrl =
+    platform === "upwork" ? `https://www.upwork.com/freelancers/${handle}` : `https://www.fiverr.com/${handle}`;
+  return { handle, profileUrl };
+}
+
+function newCode() {
+  return `FID-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+}
+
+// Open a challenge for `wallet` to prove control of an account. Returns the
+// challenge with the code to publish.
+export function createChallenge(wallet, platform, account) {
+  const now = Date.now();
+  const id = crypto.randomUUID();
+  return challenges.set(id, {
+    id,
+    wallet: getAddress(wallet),
+    platform,
+    handle: account.handle,
+    profileUrl: account.profileUrl,
+    code: newCode(),
+    attempts: 0,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString(),
+    verifiedAt: null,
+    proofId: null,
+  });
+}
+
+// Where the code has to go, for the response
+function instructionsFor(challenge) {
+  switch (challenge.platform) {
+    case "fiverr":
+      return `Add ${challenge.code} to the description on ${challenge.profileUrl}, then call verify.`;
+    case "upwork":
+      return `Add ${challenge.code} to the overview on ${challenge.profileUrl}, then call verify.`;
+    case "github":
+      return `Add ${challenge.code} to the bio of ${challenge.profileUrl} or to a public gist, then call verify.`;
+  }
+}
+
+// Look for the code on the account. Returns { found, method, url }.
+async function findCode(challenge) {
+  if (challenge.platform === "github") {
+    return findGithubOwnershipCode(challenge.handle, challenge.code);
+  }
+
+  const text = await scrapeOwnershipText(challenge.profileUrl, challenge.platform);
+  if (text === null) {
+    throw new Error(`Could not load ${challenge.profileUrl}`);
+  }
+  return { found: text.includes(challenge.code), method: "profile-text", url: challenge.profileUrl };
+}
+
+// Re-read the account and, if the code is there, issue the ownership proof.
+// Returns the updated challenge and `found`; throws if the account could not
+// be read or the proof could not be signed.
+export async function verifyChallenge(challenge) {
+  const attempt = challenges.update(challenge.id, { attempts: challenge.attempts + 1 });
+  const { found, method, url } = await findCode(attempt);
+  if (!found) {
+    return { found: false, challenge: attempt };
+  }
+
+  const verifiedAt = new Date().toISOString();
+  const proof = issueOwnershipCredential({
+    wallet: attempt.wallet,
+    platform: attempt.platform,
+    handle: attempt.handle,
+    profileUrl: attempt.profileUrl,
+    method,
+    code: attempt.code,
+    evidenceUrl: url,
+    verifiedAt,
+  });
+
+  console.log(`✅ ${attempt.wallet} proved control of ${attempt.platform}:${attempt.handle}`);
+  return { found: true, challenge: challenges.update(attempt.id, { verifiedAt, proofId: proof.id }), proof };
+}
+
+// The unexpired, unrevoked ownership proof of `wallet` for an account, or
+// null. `value` is a handle or profile URL.
+export function findOwnershipProof(wallet, platform, value) {
+  const account = normalizeAccount(platform, value);
+  if (!account || !isAddress(wallet)) return null;
+
+  for (const challenge of challenges.values()) {
+    if (
+      challenge.proofId &&
+      challenge.platform === platform &&
+      challenge.handle === account.handle &&
+      challenge.wallet.toLowerCase() === wallet.toLowerCase()
+    ) {
+      const proof = getCredential(challenge.proofId);
+      if (proof && !proof.revokedAt && Date.parse(proof.expiresAt) > Date.now()) return proof;
+    }
+  }
+  return null;
+}
+
+// The accounts among `fields` ({ platform: handle or URL }) that `wallet` has
+// not proved it controls. Empty values are skipped.
+export function unprovenAccounts(wallet, fields) {
+  return Object.entries(fields)
+    .filter(([platform, value]) => OWNERSHIP_PLATFORMS.includes(platform) && value)
+    .filter(([platform, value]) => !findOwnershipProof(wallet, platform, value))
+    .map(([platform, value]) => ({ platform, value }));
+}
+
+function publicChallenge(challenge) {
+  return { ...challenge, instructions: instructionsFor(challenge) };
+}
+
+// Build the ownership challenge routes
+export function createOwnershipRouter() {
+  const router = express.Router();
+
+  // Start a challenge for the signed-in wallet. Body: { platform, handle }
+  // (handle or profile URL)
+  router.post("/api/ownership/challenges", requireSession, (req, res) => {
+    const { platform, handle } = req.body ?? {};
+    if (!credentialsEnabled()) {
+      return res.status(503).json({ error: "❌ Ownership proofs are disabled (ISSUER_PRIVATE_KEY is not set)" });
+    }
+    if (!OWNERSHIP_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `❌ Platform must be one of ${OWNERSHIP_PLATFORMS.join(", ")}` });
+    }
+
+    const account = normalizeAccount(platform, handle);
+    if (!account) {
+      return res.status(400).json({ error: `❌ Not a valid ${platform} handle or profile URL` });
+    }
+
+    const challenge = createChallenge(req.auth.wallet, platform, account);
+    return res.status(201).json({ success: true, challenge: publicChallenge(challenge) });
+  });
+
+  // A challenge of the signed-in wallet
+  router.get("/api/ownership/challenges/:id", requireSession, (req, res) => {
+    const challenge = challenges.get(req.params.id);
+    if (!challenge || challenge.wallet !== req.auth.wallet) {
+      return res.status(404).json({ success: false, error: "Challenge not found" });
+    }
+    return res.json({ success: true, challenge: publicChallenge(challenge) });
+  });
+
+  // Check the account for the code and issue the proof
+  router.post("/api/ownership/challenges/:id/verify", requireSession, async (req, res) => {
+    const challenge = challenges.get(req.params.id);
+    if (!challenge || challenge.wallet !== req.auth.wallet) {
+      return res.status(404).json({ success: false, error: "Challenge not found" });
+    }
+    if (challenge.verifiedAt) {
+      return res.status(409).json({ success: false, error: "Challenge has already been verified", proofId: challenge.proofId });
+    }
+    // Both checks could find the code, and both would issue a proof
+    if (verifying.has(challenge.id)) {
+      return res.status(409).json({ success: false, error: "Challenge is already being verified" });
+    }
+    if (Date.parse(challenge.expiresAt) <= Date.now()) {
+      return res.status(410).json({ success: false, error: "Challenge has expired; start a new one" });
+    }
+    if (challenge.attempts >= MAX_ATTEMPTS) {
+      return res.status(429).json({ success: false, error: "Too many attempts; start a new challenge" });
+    }
+
+    verifying.add(challenge.id);
+    try {
+      const { found, challenge: updated, proof } = await verifyChallenge(challenge);
+      if (!found) {
+        return res.status(422).json({
+          success: false,
+          error: `Code ${challenge.code} was not found on the account`,
+          attemptsLeft: MAX_ATTEMPTS - updated.attempts,
+        });
+      }
+      return res.json({ success: true, challenge: updated, proof: proof.jwt });
+    } catch (error) {
+      console.error("❌ Ownership check failed:", error.message);
+      return res.status(502).json({ success: false, error: error.message });
+    } finally {
+      verifying.delete(challenge.id);
+    }
+  });
+
+  // The accounts a wallet has proved it controls
+  router.get("/api/profile/:wallet/ownership", (req, res) => {
+    if (!isAddress(req.params.wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+
+    const proofs = challenges
+      .values()
+      .filter((challenge) => challenge.proofId && challenge.wallet.toLowerCase() === req.params.wallet.toLowerCase())
+      .map((challenge) => ({ challenge, proof: getCredential(challenge.proofId) }))
+      .filter(({ proof }) => proof)
+      .map(({ challenge, proof }) => ({
+        platform: challenge.platform,
+        handle: challenge.handle,
+        profileUrl: challenge.profileUrl,
+        verifiedAt: challenge.verifiedAt,
+        proofId: proof.id,
+        expiresAt: proof.expiresAt,
+        revokedAt: proof.revokedAt,
+        proof: proof.jwt,
+      }));
+    return res.json({ success: true, total: proofs.length, accounts: proofs });
+  });
+
+  return router;
+}
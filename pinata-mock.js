@@ -0,0 +1,99 @@
+import express from "express";
+import { cidForBytes } from "./storage.js";
+
+// A local stand-in for the parts of the Pinata API this service uses, for
+// development and for trying pin management without a Pinata account:
+//
+//   POST   /pinning/pinJSONToIPFS
+//   POST   /pinning/pinFileToIPFS
+//   GET    /data/pinList?status=pinned&metadata[name]=&pageLimit=&pageOffset=
+//   DELETE /pinning/unpin/:cid
+//   GET    /data/testAuthentication
+//   GET    /ipfs/:cid                (gateway)
+//
+// Pins live in memory under the CIDs a real node would give them. Any
+// non-empty API key pair is accepted.
+//
+// Usage:
+//   node pinata-mock.js [port]
+// then set PINATA_API_URL and PINATA_GATEWAY_URL to http://localhost:<port>.
+
+export function createPinataMock() {
+  const app = express();
+  const pins = new Map(); // { cid: { bytes, name, datePinned } }
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith("/ipfs/")) return next();
+    if (!req.get("pinata_api_key") || !req.get("pinata_secret_api_key")) {
+      return res.status(401).json({ error: { reason: "INVALID_CREDENTIALS", details: "Missing API key" } });
+    }
+    next();
+  });
+
+  const pin = async (bytes, name) => {
+    const cid = await cidForBytes(bytes);
+    const existing = pins.get(cid);
+    pins.set(cid, { bytes, name: name ?? existing?.name ?? null, datePinned: existing?.datePinned ?? new Date().toISOString() });
+    return { IpfsHash: cid, PinSize: bytes.length, Timestamp: pins.get(cid).datePinned, isDuplicate: Boolean(existing) };
+  };
+
+  app.get("/data/testAuthentication", (req, res) => {
+    res.json({ message: "Congratulations! You are communicating with the Pinata API!" });
+  });
+
+  app.post("/pinning/pinJSONToIPFS", express.json({ limit: "10mb" }), async (req, res) => {
+    const { pinataContent, pinataMetadata } = req.body ?? {};
+    if (pinataContent === undefined) {
+      return res.status(400).json({ error: { reason: "INVALID_REQUEST", details: "pinataContent is required" } });
+    }
+    res.json(await pin(new TextEncoder().encode(JSON.stringify(pinataContent)), pinataMetadata?.name));
+  });
+
+  app.post("/pinning/pinFileToIPFS", express.raw({ type: "multipart/form-data", limit: "50mb" }), async (req, res) => {
+    // Let the platform's fetch implementation parse the multipart body
+    const form = await new Response(req.body, { headers: { "content-type": req.get("content-type") } }).formData();
+    const file = form.get("file");
+    if (!file || typeof file === "string") {
+      return res.status(400).json({ error: { reason: "INVALID_REQUEST", details: "file is required" } });
+    }
+    const metadata = JSON.parse(form.get("pinataMetadata") || "{}");
+    res.json(await pin(new Uint8Array(await file.arrayBuffer()), metadata.name ?? file.name));
+  });
+
+  app.get("/data/pinList", (req, res) => {
+    const name = req.query["metadata[name]"] ?? req.query.metadata?.name;
+    const pageLimit = Math.min(Number(req.query.pageLimit) || 10, 1000);
+    const pageOffset = Number(req.query.pageOffset) || 0;
+
+    const rows = Array.from(pins, ([cid, entry]) => ({
+      ipfs_pin_hash: cid,
+      size: entry.bytes.length,
+      date_pinned: entry.datePinned,
+      metadata: { name: entry.name, keyvalues: null },
+    })).filter((row) => !name || row.metadata.name === name);
+
+    res.json({ count: rows.length, rows: rows.slice(pageOffset, pageOffset + pageLimit) });
+  });
+
+  app.delete("/pinning/unpin/:cid", (req, res) => {
+    if (!pins.delete(req.params.cid)) {
+      return res.status(404).json({ error: { reason: "CURRENT_USER_HAS_NOT_PINNED_CID", details: req.params.cid } });
+    }
+    res.send("OK");
+  });
+
+  app.get("/ipfs/:cid", (req, res) => {
+    const entry = pins.get(req.params.cid);
+    if (!entry) return res.status(404).send("Not found");
+    res.send(Buffer.from(entry.bytes));
+  });
+
+  return app;
+}
+
+if (process.argv[1] && import.meta.url.endsWith(process.argv[1].split("/").pop())) {
+  const port = Number(process.argv[2]) || 3100;
+  createPinataMock().listen(port, () => {
+    console.log(`🚀 Pinata mock running on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import express from "express";
+import { openStore } from "./store.js";
+
+// Index of everything pinned through ipfs.js, kept in data/pins.json and
+// keyed by the content hash of the pinned JSON. The hash is taken over the
+// canonical form of the JSON (RFC 8785 style: object keys sorted, no
+// whitespace), so the same data is recognised as a duplicate however its keys
+// happen to be ordered.
+
+const pins = openStore("pins");
+
+// Canonical JSON text of a value: keys sorted by UTF-16 code units, numbers
+// and strings serialized as JSON.stringify does (which is what RFC 8785 uses)
+export function canonicalJson(value) {
+  if (value !== null && typeof value === "object" && typeof value.toJSON === "function") {
+    value = value.toJSON();
+  }
+
+  if (value === null || typeof value === "boolean" || typeof value === "string") {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new TypeError(`Cannot canonicalize non-finite number ${value}`);
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined || typeof item === "function" ? "null" : canonicalJson(item))).join(",")}]`;
+  }
+
+  if (typeof value === "object") {
+    const members = Object.keys(value)
+      .filter((key) => value[key] !== undefined && typeof value[key] !== "function")
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+
+  throw new TypeError(`Cannot canonicalize a value of type ${typeof value}`);
+}
+
+// sha256 (hex) of the canonical JSON
+export function contentHash(data) {
+  return crypto.createHash("sha256").update(canonicalJson(data)).digest("hex");
+}
+
+// The index entry for some content hash, or null
+export function findPin(hash) {
+  return pins.get(hash);
+}
+
+// Record a successful upload. `mirrors` lists the other providers that took a
+// copy: [{ provider, cid }]. Re-pinning the same content keeps its createdAt
+// and moves lastPinnedAt.
+export function recordPin(hash, { cid, provider, mirrors = [], metadataName, size }) {
+  const now = new Date().toISOString();
+  const existing = pins.get(hash);
+
+  return pins.set(hash, {
+    contentHash: hash,
+    cid,
+    provider,
+    mirrors,
+    metadataName,
+    size,
+    createdAt: existing?.createdAt ?? now,
+    lastPinnedAt: now,
+    lastRequestedAt: now,
+  });
+}
+
+// Note that an upload was answered from the index
+export function touchPin(hash) {
+  return pins.update(hash, { lastRequestedAt: new Date().toISOString() });
+}
+
+// Drop every index entry for a CID once it has been unpinned, so the same
+// content is uploaded again instead of being answered with a dead CID
+export function forgetPin(cid) {
+  const entries = pins.entries().filter(([, pin]) => pin.cid === cid);
+  for (const [hash] of entries) pins.delete(hash);
+  return entries.length;
+}
+
+// Index entries, newest first, optionally filtered by CID, provider or
+// (substring of) metadata name
+export function listPins({ cid, provider, name } = {}) {
+  return pins
+    .values()
+    .filter((pin) => !cid || pin.cid === cid)
+    .filter((pin) => !provider || pin.provider === provider)
+    .filter((pin) => !name || pin.metadataName?.toLowerCase().includes(name.toLowerCase()))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Build the /pins query routes
+export function createPinIndexRouter() {
+  const router = express.Router();
+
+  // Everything pinned so far: ?cid=&provider=&name=&limit=&offset=
+  router.get("/pins", (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const offset = Number(req.query.offset) || 0;
+    const matching = listPins(req.query);
+
+    return res.json({ success: true, total: matching.length, pins: matching.slice(offset, offset + limit) });
+  });
+
+  // Look up the CID stored for a content hash
+  router.get("/pins/:contentHash", (req, res) => {
+    const pin = findPin(req.params.contentHash.toLowerCase());
+    if (!pin) {
+      return res.status(404).json({ success: false, error: "Nothing pinned with this content hash" });
+    }
+    return res.json({ success: true, pin });
+  });
+
+  // Has this JSON been pinned already? The body is the data itself.
+  router.post("/pins/lookup", (req, res) => {
+    const hash = contentHash(req.body);
+    const pin = findPin(hash);
+    return res.json({ success: true, contentHash: hash, pinned: Boolean(pin), pin });
+  });
+
+  return router;
+}
@@ -0,0 +1,404 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import express from "express";
+import { getAddress } from "ethers";
+import { openStore } from "./store.js";
+import { getPlatformForUrl, getPlatform } from "./platforms.js";
+import { validateProfile } from "./profile.js";
+import { contentHash } from "./pins.js";
+import { latestVersion, recordVersion } from "./history.js";
+import { commitRegistrationFields } from "./privacy.js";
+import { requireSession } from "./siwe.js";
+import { unprovenAccounts } from "./ownership.js";
+
+// Scrape -> validate -> pin -> register, as one pipeline per wallet.
+//
+// POST /scrape starts (or resumes) the wallet's pipeline in the background
+// and returns its id straight away; the pipeline is followed with GET
+// /scrape/pipelines/:id or its server-sent events, as for scrape jobs (see
+// jobs.js). It ends "done", "failed" or, when the registration is not mined
+// in time, "waiting"; posting again resumes it.
+//
+// Every step's result is saved as soon as the step completes (in
+// data/pipelines.json), so a run that fails part-way resumes from the last
+// completed step when it is retried. Retrying a finished pipeline just
+// returns its result: the profile is pinned once and the DID registered
+// once. The registration goes through the transaction queue (see
+// transactions.js). Before sending, the chain is checked for an existing
+// record and the queue for a registration already sent for the wallet (by a
+// run that stopped before saving the step), so a crash around the
+// transaction never sends a second one.
+//
+// Name and date of birth are committed to when the pipeline is posted: only
+// the commitments are saved, and the openings (values and salts) are
+// returned to the client in that response, once.
+//
+// The scraper, the pinning function, the contract and the transaction queue
+// are passed in, so the pipeline runs the same against a local Hardhat/Anvil
+// node (RPC_URL) and a mock pinning service (see pinata-mock.js).
+
+export const PIPELINE_STEPS = ["scraped", "validated", "pinned", "submitted", "registered"];
+
+// States a pipeline stops in until it is posted again
+const FINISHED_STATES = new Set(["done", "failed", "waiting"]);
+
+const pipelines = openStore("pipelines"); // { wallet: pipeline }
+const pipelineEvents = new EventEmitter();
+pipelineEvents.setMaxListeners(0); // one listener per open SSE stream
+const running = new Set(); // wallets whose pipeline is running right now
+
+// Thrown when the registration transaction is still in the queue after
+// transactions.wait gave up on it; the pipeline is left "waiting"
+export class RegistrationPendingError extends Error {
+  constructor(tx) {
+    super(`Registration transaction ${tx.id} is not mined yet`);
+    this.name = "RegistrationPendingError";
+    this.tx = tx;
+  }
+}
+
+function hasCompleted(pipeline, step) {
+  return PIPELINE_STEPS.indexOf(pipeline.step) >= PIPELINE_STEPS.indexOf(step);
+}
+
+function savePipeline(wallet, changes) {
+  const pipeline = pipelines.update(wallet, { ...changes, updatedAt: new Date().toISOString() });
+  pipelineEvents.emit("update", pipeline);
+  return pipeline;
+}
+
+// Start a pipeline for `wallet`, or pick up its existing one. A pipeline for
+// another profile is replaced, unless it already sent its registration.
+// `transactions` is the queue the registration goes through. Returns {
+// pipeline, commitments, openings }, the last two null when the registration
+// details were already sent; throws if the wallet is registered with another
+// profile.
+export function preparePipeline(wallet, { profileUrl, did, name, dateOfBirth, github = "", upwork = "" }, { transactions }) {
+  const existing = pipelines.get(wallet);
+  const sent = (existing && hasCompleted(existing, "submitted")) || transactions.findSent("registerDID", { wallet });
+
+  if (existing && existing.profileUrl === profileUrl && sent) {
+    // (pipelines saved before they had ids get one here)
+    return { pipeline: savePipeline(wallet, { id: existing.id ?? crypto.randomUUID() }), commitments: null, openings: null };
+  }
+  if (existing && existing.profileUrl !== profileUrl && sent) {
+    throw new Error(`This wallet is already registered with ${existing.profileUrl}`);
+  }
+
+  // Registration details can still change until they are sent
+  const { onChain, commitments, openings } = commitRegistrationFields({ name, dateOfBirth });
+  const request = { did: did || `did:ethr:${wallet}`, onChain, github, upwork };
+  if (existing && existing.profileUrl === profileUrl) {
+    return { pipeline: savePipeline(wallet, { request, id: existing.id ?? crypto.randomUUID() }), commitments, openings };
+  }
+
+  const now = new Date().toISOString();
+  const pipeline = pipelines.set(wallet, {
+    id: crypto.randomUUID(),
+    wallet,
+    platform: getPlatformForUrl(profileUrl).platform,
+    profileUrl,
+    request,
+    state: "pending",
+    step: null,
+    failedStep: null,
+    error: null,
+    profile: null,
+    cid: null,
+    registration: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return { pipeline, commitments, openings };
+}
+
+// Run the remaining steps of a wallet's pipeline. `scrape(profileUrl,
+// platform)` returns a normalized profile or null, `storeData(data,
+// metadataName)` pins it and returns the CID, `contract` is the SBT registry
+// (see contract.js) and `transactions` the queue that sends to it. Returns
+// the finished pipeline; throws with the failed step recorded on it, or a
+// RegistrationPendingError while the registration is not mined yet.
+export async function runPipeline(wallet, { scrape, storeData, contract, transactions }) {
+  if (running.has(wallet)) {
+    throw new Error("A pipeline is already running for this wallet");
+  }
+  running.add(wallet);
+
+  let pipeline = savePipeline(wallet, { state: "running", failedStep: null, error: null });
+  const spec = getPlatform(pipeline.platform);
+
+  const step = async (name, run) => {
+    if (hasCompleted(pipeline, name)) return;
+    try {
+      pipeline = savePipeline(wallet, { ...(await run()), step: name });
+      console.log(`✅ Pipeline ${wallet}: ${name}`);
+    } catch (error) {
+      if (error instanceof RegistrationPendingError) {
+        pipeline = savePipeline(wallet, { state: "waiting", failedStep: null, error: null });
+        console.log(`🔵 Pipeline ${wallet}: waiting for transaction ${error.tx.id}`);
+        throw error;
+      }
+      pipeline = savePipeline(wallet, { state: "failed", failedStep: name, error: error.message });
+      console.error(`❌ Pipeline ${wallet} failed at ${name}:`, error.message);
+      throw error;
+    }
+  };
+
+  try {
+    await step("scraped", async () => {
+      const profile = await scrape(pipeline.profileUrl, pipeline.platform);
+      if (!profile) {
+        throw new Error(`Failed to scrape ${spec.displayName} profile`);
+      }
+      // Chain the new version to the last one pinned for this profile
+      return { profile: { ...profile, previousVersion: latestVersion(pipeline.platform, pipeline.profileUrl) } };
+    });
+
+    await step("validated", async () => {
+      const { valid, errors } = validateProfile(pipeline.profile);
+      if (!valid) {
+        // A retry has to scrape again; this profile will never pass
+        savePipeline(wallet, { step: null, profile: null });
+        throw new Error(`Scraped profile failed validation: ${JSON.stringify(errors)}`);
+      }
+      return {};
+    });
+
+    await step("pinned", async () => {
+      const cid = await storeData(pipeline.profile, `${spec.displayName}ProfileData`);
+      recordVersion(pipeline.profile, cid, { wallet });
+      return { cid };
+    });
+
+    await step("submitted", async () => {
+      const additional = `ipfs://${pipeline.cid}`;
+
+      // Registered already (e.g. the process stopped before the hash was saved)
+      const existingDid = await contract.userToDID(wallet);
+      if (existingDid) {
+        const record = await contract.didRecords(existingDid);
+        if (record.additional !== additional) {
+          throw new Error(`Wallet already has the DID ${existingDid} for another profile`);
+        }
+        return { registration: { did: existingDid, txId: null, txHash: null, alreadyRegistered: true } };
+      }
+
+      // Sent already by a run that stopped before it could save this step
+      let tx = transactions.findSent("registerDID", { wallet });
+      if (tx && tx.args[9] !== additional) {
+        throw new Error(`A registration of another profile is still in flight for this wallet (${tx.id})`);
+      }
+
+      if (!tx) {
+        const { did, onChain, github, upwork } = pipeline.request;
+        tx = await transactions.submit(
+          "registerDID",
+          [
+            wallet,
+            did,
+            contentHash(pipeline.profile),
+            Math.floor(Date.now() / 1000),
+            onChain.dateOfBirth,
+            onChain.name,
+            github,
+            pipeline.platform === "fiverr" ? pipeline.profileUrl : "",
+            pipeline.platform === "upwork" ? pipeline.profileUrl : upwork,
+            additional,
+          ],
+          { wallet }
+        );
+        if (tx.status === "failed") {
+          throw new Error(`Registration transaction could not be sent: ${tx.error}`);
+        }
+      }
+
+      const [, did, uniqueIdentifierHash, timestamp, , , github, fiverr, upwork] = tx.args;
+      const registration = { did, uniqueIdentifierHash, timestamp, fiverr, upwork, github, additional };
+      return { registration: { ...registration, txId: tx.id, txHash: tx.hash } };
+    });
+
+    await step("registered", async () => {
+      if (!pipeline.registration.txId) return {};
+
+      // The hash changes if the queue had to replace a stuck transaction
+      const tx = await transactions.wait(pipeline.registration.txId);
+      if (tx.status === "queued" || tx.status === "pending") {
+        throw new RegistrationPendingError(tx);
+      }
+      if (tx.status === "stuck") {
+        // Still in the mempool, so sending it again could register twice
+        throw new Error(`Registration transaction ${tx.hash} is stuck: ${tx.error}`);
+      }
+      if (tx.status !== "mined") {
+        // Nothing was registered, so the transaction has to be sent again
+        savePipeline(wallet, { step: "pinned", registration: null });
+        throw new Error(`Registration transaction ${tx.hash} failed: ${tx.error}`);
+      }
+      return { registration: { ...pipeline.registration, txHash: tx.hash, blockNumber: tx.receipt.blockNumber } };
+    });
+
+    pipeline = savePipeline(wallet, { state: "done" });
+    return pipeline;
+  } finally {
+    running.delete(wallet);
+  }
+}
+
+// What the routes return: everything but the scraped profile itself (it is
+// pinned at `cid`)
+function publicPipeline(pipeline) {
+  const { profile, ...rest } = pipeline;
+  return rest;
+}
+
+// Run a wallet's pipeline in the background; the outcome is recorded on the
+// pipeline (and logged by the step that failed)
+function startPipeline(wallet, options) {
+  runPipeline(wallet, options).catch(() => {});
+}
+
+function sendEvent(res, pipeline) {
+  res.write(`data: ${JSON.stringify(publicPipeline(pipeline))}\n\n`);
+}
+
+// The signed-in wallet's pipeline with this id, or null
+function ownPipeline(req) {
+  const pipeline = pipelines.get(getAddress(req.auth.wallet));
+  return pipeline?.id === req.params.id ? pipeline : null;
+}
+
+// Build the pipeline routes. Takes the same dependencies as runPipeline.
+export function createPipelineRouter({ scrape, storeData, contract, transactions }) {
+  const router = express.Router();
+  const options = { scrape, storeData, contract, transactions };
+
+  // Pick up pipelines interrupted by a restart
+  for (const pipeline of pipelines.values()) {
+    if (!FINISHED_STATES.has(pipeline.state)) {
+      console.log(`🔁 Resuming interrupted pipeline ${pipeline.id} (${pipeline.wallet})`);
+      startPipeline(pipeline.wallet, options);
+    }
+  }
+
+  // Scrape, pin and register the signed-in wallet's profile, or resume its
+  // pipeline. Body: { profileUrl, did, name, dateOfBirth, github, upwork }.
+  // The profile and the GitHub/Upwork accounts need the wallet's ownership
+  // proofs (see ownership.js).
+  router.post("/scrape", requireSession, (req, res) => {
+    const wallet = getAddress(req.auth.wallet);
+    const { profileUrl, name, dateOfBirth, github, upwork } = req.body ?? {};
+
+    if (!profileUrl) {
+      return res.status(400).json({ error: "❌ Profile URL is required" });
+    }
+    if (!name || !dateOfBirth) {
+      return res.status(400).json({ error: "❌ Name and date of birth are required" });
+    }
+
+    let platform;
+    try {
+      platform = getPlatformForUrl(profileUrl);
+    } catch {
+      return res.status(400).json({ error: "❌ Profile URL is not a valid URL" });
+    }
+    if (!platform) {
+      return res.status(400).json({ error: "❌ Unsupported profile platform" });
+    }
+
+    let unproven;
+    try {
+      unproven = unprovenAccounts(wallet, { [platform.platform]: profileUrl, github, upwork });
+    } catch (error) {
+      console.error("❌ Ownership check failed:", error.message);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    if (unproven.length > 0) {
+      return res.status(403).json({ success: false, error: "❌ Prove you control these accounts first (POST /api/ownership/challenges)", unproven });
+    }
+    if (running.has(wallet)) {
+      return res.status(409).json({ success: false, error: "A pipeline is already running for this wallet" });
+    }
+
+    let pipeline;
+    let commitments;
+    let openings;
+    try {
+      ({ pipeline, commitments, openings } = preparePipeline(wallet, req.body, options));
+    } catch (error) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    startPipeline(wallet, options);
+
+    return res.status(202).json({
+      success: true,
+      jobId: pipeline.id,
+      statusUrl: `/scrape/pipelines/${pipeline.id}`,
+      eventsUrl: `/scrape/pipelines/${pipeline.id}/events`,
+      // Shown once: keep the openings to prove the committed name and date of birth
+      commitments,
+      openings,
+    });
+  });
+
+  // The signed-in wallet's pipeline
+  router.get("/scrape/pipeline", requireSession, (req, res) => {
+    const pipeline = pipelines.get(getAddress(req.auth.wallet));
+    if (!pipeline) {
+      return res.status(404).json({ success: false, error: "No pipeline for this wallet" });
+    }
+    return res.json({ success: true, pipeline: publicPipeline(pipeline) });
+  });
+
+  // A pipeline by id, for the wallet it belongs to
+  router.get("/scrape/pipelines/:id", requireSession, (req, res) => {
+    const pipeline = ownPipeline(req);
+    if (!pipeline) {
+      return res.status(404).json({ success: false, error: "Pipeline not found" });
+    }
+    return res.json({ success: true, pipeline: publicPipeline(pipeline) });
+  });
+
+  // Server-sent events: the current state first, then every change until the
+  // pipeline stops
+  router.get("/scrape/pipelines/:id/events", requireSession, (req, res) => {
+    const pipeline = ownPipeline(req);
+    if (!pipeline) {
+      return res.status(404).json({ success: false, error: "Pipeline not found" });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    sendEvent(res, pipeline);
+
+    if (FINISHED_STATES.has(pipeline.state)) {
+      return res.end();
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    const onUpdate = (updated) => {
+      if (updated.id !== pipeline.id) return;
+      sendEvent(res, updated);
+      if (FINISHED_STATES.has(updated.state)) {
+        stop();
+        res.end();
+      }
+    };
+
+    const stop = () => {
+      clearInterval(keepAlive);
+      pipelineEvents.off("update", onUpdate);
+    };
+
+    pipelineEvents.on("update", onUpdate);
+    req.on("close", stop);
+  });
+
+  return router;
+}
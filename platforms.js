@@ -0,0 +1,73 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Platform adapter registry. Each platform is described by a versioned spec
+// file in specs/ named `<platform>.v<version>.json`; the highest version of
+// each platform is the active one. Besides `fields` (see extractor.js), a spec
+// may set:
+//   readySelector  the element to wait for before extracting
+//   paginate       { <list field>: { next: [button selectors], limit } } to click
+//                  through "show more" / next-page buttons for that list. The
+//                  limit can be overridden with <FIELD>_LIMIT, e.g. REVIEWS_LIMIT.
+//   ownership      a field (see extractor.js) for the text the owner controls,
+//                  such as the bio, where ownership challenge codes are looked
+//                  for (see ownership.js)
+
+const SPECS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "specs");
+const SPEC_FILE_PATTERN = /^([a-z0-9-]+)\.v(\d+)\.json$/;
+
+const platforms = new Map(); // { platform: spec }
+
+// Register (or replace) a platform adapter
+export function registerPlatform(spec) {
+  if (!spec.platform || !spec.version || !spec.fields) {
+    throw new Error(`Invalid platform spec: ${spec.platform || "unknown platform"}`);
+  }
+
+  const current = platforms.get(spec.platform);
+  if (!current || current.version <= spec.version) {
+    platforms.set(spec.platform, spec);
+  }
+}
+
+// Load every spec file from the specs directory
+export function loadSpecs(dir = SPECS_DIR) {
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(SPEC_FILE_PATTERN);
+    if (!match) continue;
+
+    const spec = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    if (spec.platform !== match[1] || spec.version !== Number(match[2])) {
+      throw new Error(`Spec file ${file} does not match its platform/version fields`);
+    }
+    registerPlatform(spec);
+  }
+}
+
+export function getPlatform(platform) {
+  return platforms.get(platform) || null;
+}
+
+export function listPlatforms() {
+  return Array.from(platforms.values()).map(({ platform, displayName, version, hosts }) => ({
+    platform,
+    displayName,
+    version,
+    hosts,
+  }));
+}
+
+// Find the platform whose hosts match a profile URL. Throws on an invalid URL.
+export function getPlatformForUrl(profileUrl) {
+  const hostname = new URL(profileUrl).hostname.toLowerCase();
+
+  for (const spec of platforms.values()) {
+    if ((spec.hosts || []).some((host) => hostname === host || hostname.endsWith(`.${host}`))) {
+      return spec;
+    }
+  }
+  return null;
+}
+
+loadSpecs();
@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { SigningKey, computeAddress, hashMessage, isAddress } from "ethers";
+import { canonicalJson } from "./pins.js";
+
+dotenv.config();
+
+// Keeping personal data out of public storage.
+//
+// Commitments: a field is published as sha256 over {field, value, salt} with a
+// random salt. The commitment reveals nothing, yet whoever holds the value and
+// salt (the "opening") can later prove what was committed to.
+//
+// Encryption: data is sealed with a random AES-256-GCM key, and that key is
+// wrapped for each recipient wallet with ECDH on secp256k1 (the wallet's own
+// key pair), so only the wallet's private key can open it.
+//
+// Disclosure: the wallet owner hands a verifier the openings of the fields
+// they choose, encrypted to the verifier's key. The verifier checks them
+// against the commitments that were registered or pinned.
+
+// Profile fields replaced by commitments before pinning; their values are
+// also redacted wherever else they appear in the profile (see createRedactor)
+export const PII_FIELDS = (process.env.PII_FIELDS || "publicName,username")
+  .split(",")
+  .map((field) => field.trim())
+  .filter(Boolean);
+
+const COMMITMENT_PREFIX = "sha256:";
+
+// --------------------------------------
+// Commitments
+// --------------------------------------
+
+// Commit to one field. Returns { commitment, salt }; keep the salt, it is
+// needed to prove the value later.
+export function commitField(field, value, salt = crypto.randomBytes(32).toString("hex")) {
+  const digest = crypto.createHash("sha256").update(canonicalJson({ field, value, salt })).digest("hex");
+  return { commitment: `${COMMITMENT_PREFIX}${digest}`, salt };
+}
+
+// Does (value, salt) open this commitment?
+export function verifyCommitment(field, { value, salt }, commitment) {
+  if (typeof salt !== "string" || typeof commitment !== "string") return false;
+  const expected = Buffer.from(commitField(field, value, salt).commitment);
+  const actual = Buffer.from(commitment);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// --------------------------------------
+// Encryption for wallets
+// --------------------------------------
+
+// The public key of the wallet that signed `message`. Lets a client prove
+// which key to encrypt for with an ordinary personal_sign signature.
+export function recoverWalletPublicKey(message, signature) {
+  const publicKey = SigningKey.recoverPublicKey(hashMessage(message), signature);
+  return { wallet: computeAddress(publicKey), publicKey: SigningKey.computePublicKey(publicKey, true) };
+}
+
+function deriveWrapKey(sharedSecret) {
+  return Buffer.from(crypto.hkdfSync("sha256", Buffer.from(sharedSecret.slice(2), "hex"), Buffer.alloc(0), "freelancing-id:key-wrap", 32));
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ciphertext: ciphertext.toString("base64") };
+}
+
+function unseal(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]);
+}
+
+// Encrypt JSON for one or more public keys. Returns an envelope that is safe
+// to publish.
+export function encryptForWallets(data, publicKeys) {
+  if (publicKeys.length === 0) throw new Error("At least one recipient public key is required");
+
+  const dataKey = crypto.randomBytes(32);
+  const recipients = publicKeys.map((publicKey) => {
+    const ephemeral = new SigningKey(crypto.randomBytes(32));
+    const wrapKey = deriveWrapKey(ephemeral.computeSharedSecret(publicKey));
+    const { iv, tag, ciphertext } = seal(wrapKey, dataKey);
+    return {
+      wallet: computeAddress(publicKey),
+      ephemeralPublicKey: ephemeral.compressedPublicKey,
+      iv,
+      tag,
+      wrappedKey: ciphertext,
+    };
+  });
+
+  return { alg: "aes-256-gcm", keyWrap: "ecdh-secp256k1-hkdf-sha256", ...seal(dataKey, JSON.stringify(data)), recipients };
+}
+
+// Open an envelope with a wallet's private key
+export function decryptForWallet(envelope, privateKey) {
+  const signingKey = new SigningKey(privateKey);
+  const wallet = computeAddress(signingKey.publicKey);
+  const recipient = envelope.recipients.find((entry) => entry.wallet === wallet);
+  if (!recipient) throw new Error(`Envelope is not encrypted for ${wallet}`);
+
+  const wrapKey = deriveWrapKey(signingKey.computeSharedSecret(recipient.ephemeralPublicKey));
+  const dataKey = unseal(wrapKey, { iv: recipient.iv, tag: recipient.tag, ciphertext: recipient.wrappedKey });
+  return JSON.parse(unseal(dataKey, envelope).toString("utf8"));
+}
+
+// --------------------------------------
+// Profiles and disclosures
+// --------------------------------------
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// An opening as commitField's caller keeps it: { value, salt }, both strings
+const isOpening = (opening) => isPlainObject(opening) && typeof opening.value === "string" && typeof opening.salt === "string";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Build redact(data), which replaces the values of a profile's PII fields
+// wherever else they turn up (the username in profileUrl and gig links, the
+// name in a description) with random stand-ins. Use the same one for every
+// document pinned from the profile, so its links still agree.
+export function createRedactor(profile, fields = PII_FIELDS) {
+  const replacements = fields
+    .map((field) => [field, profile[field]])
+    .filter(([, value]) => typeof value === "string" && value.trim() !== "")
+    // Longest first, in case the name contains the username
+    .sort(([, a], [, b]) => b.length - a.length)
+    .map(([field, value]) => [
+      new RegExp(`(?<![\\w-])${escapeRegExp(value.trim())}(?![\\w-])`, "gi"),
+      `${field.toLowerCase()}-${crypto.randomBytes(6).toString("hex")}`,
+    ]);
+
+  const redact = (data) => {
+    if (typeof data === "string") {
+      return replacements.reduce((text, [pattern, standIn]) => text.replace(pattern, standIn), data);
+    }
+    if (Array.isArray(data)) return data.map(redact);
+    if (data !== null && typeof data === "object") {
+      return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, redact(value)]));
+    }
+    return data;
+  };
+  return redact;
+}
+
+// Replace the PII fields of a profile with null before it is pinned, and
+// their values elsewhere in it with stand-ins (see createRedactor). The
+// pinned profile carries a commitment per field and, encrypted for the
+// owner's wallet, the values together with their salts (the openings).
+export function protectProfile(profile, { publicKeys, fields = PII_FIELDS, redact = createRedactor(profile, fields) }) {
+  const present = fields.filter((field) => profile[field] !== undefined && profile[field] !== null);
+  const commitments = {};
+  const openings = {};
+
+  for (const field of present) {
+    const { commitment, salt } = commitField(field, profile[field]);
+    commitments[field] = commitment;
+    openings[field] = { value: profile[field], salt };
+  }
+
+  return {
+    ...redact(profile),
+    ...Object.fromEntries(present.map((field) => [field, null])),
+    privacy: { commitments, encrypted: encryptForWallets(openings, publicKeys) },
+  };
+}
+
+// The name and date of birth to put in a DID record: salted commitments,
+// with the openings the user must keep, or the values themselves when
+// REGISTER_PLAINTEXT_PII=true. Returns { onChain: { name, dateOfBirth },
+// commitments, openings } (commitments and openings null in plaintext mode).
+// Throws if either value is missing, rather than committing to `undefined`.
+export function commitRegistrationFields({ name, dateOfBirth }) {
+  for (const [field, value] of Object.entries({ name, dateOfBirth })) {
+    if (typeof value !== "string" || value.trim() === "") {
+      throw new Error(`Missing ${field}`);
+    }
+  }
+
+  if (process.env.REGISTER_PLAINTEXT_PII === "true") {
+    return { onChain: { name, dateOfBirth }, commitments: null, openings: null };
+  }
+
+  const committedName = commitField("name", name);
+  const committedDateOfBirth = commitField("dateOfBirth", dateOfBirth);
+  const commitments = { name: committedName.commitment, dateOfBirth: committedDateOfBirth.commitment };
+  return {
+    onChain: commitments,
+    commitments,
+    openings: {
+      name: { value: name, salt: committedName.salt },
+      dateOfBirth: { value: dateOfBirth, salt: committedDateOfBirth.salt },
+    },
+  };
+}
+
+// Package the openings of the chosen fields for one verifier. `openings` is
+// { field: { value, salt } }, `commitments` what the verifier will check them
+// against ({ field: commitment }).
+export function createDisclosure({ wallet, openings, commitments, verifierPublicKey }) {
+  for (const [field, opening] of Object.entries(openings)) {
+    if (!verifyCommitment(field, opening, commitments[field])) {
+      throw new Error(`The value given for "${field}" does not match its commitment`);
+    }
+  }
+
+  return {
+    type: "freelancing-id/disclosure",
+    wallet,
+    verifier: computeAddress(verifierPublicKey),
+    fields: Object.keys(openings),
+    commitments: Object.fromEntries(Object.keys(openings).map((field) => [field, commitments[field]])),
+    createdAt: new Date().toISOString(),
+    encrypted: encryptForWallets(openings, [verifierPublicKey]),
+  };
+}
+
+// Verifier side: decrypt a disclosure and check every field against the
+// commitments the verifier trusts (e.g. read from the chain). Returns
+// { valid, fields: { field: { value, valid } } }.
+export function openDisclosure(disclosure, verifierPrivateKey, trustedCommitments = disclosure.commitments) {
+  const openings = decryptForWallet(disclosure.encrypted, verifierPrivateKey);
+  const fields = {};
+
+  for (const [field, opening] of Object.entries(openings)) {
+    fields[field] = { value: opening.value, valid: verifyCommitment(field, opening, trustedCommitments[field]) };
+  }
+
+  return { valid: Object.values(fields).every((field) => field.valid), fields };
+}
+
+// Public key in the form the routes accept: a hex secp256k1 key, or
+// { message, signature } signed by the wallet
+export function resolvePublicKey(input) {
+  if (typeof input === "string") {
+    return { wallet: computeAddress(input), publicKey: SigningKey.computePublicKey(input, true) };
+  }
+  if (input && input.message && input.signature) {
+    return recoverWalletPublicKey(input.message, input.signature);
+  }
+  throw new Error("Expected a public key, or a message and its signature");
+}
+
+// Build the /privacy routes
+export function createPrivacyRouter() {
+  const router = express.Router();
+
+  // Recover a wallet's public key from a signed message, for use as an
+  // encryption recipient
+  router.post("/privacy/public-key", (req, res) => {
+    const { message, signature } = req.body;
+    if (!message || !signature) {
+      return res.status(400).json({ error: "❌ Message and signature are required" });
+    }
+
+    try {
+      return res.json({ success: true, ...recoverWalletPublicKey(message, signature) });
+    } catch {
+      return res.status(400).json({ error: "❌ Invalid signature" });
+    }
+  });
+
+  // Build a disclosure package for a verifier. Body: { wallet, openings,
+  // commitments, verifier } where `verifier` is the verifier's public key or
+  // a message signed by the verifier.
+  router.post("/privacy/disclosures", (req, res) => {
+    const { wallet, openings, commitments, verifier } = req.body;
+    if (!wallet || !isAddress(wallet)) {
+      return res.status(400).json({ error: "❌ Invalid wallet address" });
+    }
+    if (!openings || !commitments || !verifier) {
+      return res.status(400).json({ error: "❌ Openings, commitments and verifier are required" });
+    }
+
+    let verifierPublicKey;
+    try {
+      verifierPublicKey = resolvePublicKey(verifier).publicKey;
+    } catch (error) {
+      return res.status(400).json({ error: `❌ Invalid verifier key: ${error.message}` });
+    }
+
+    try {
+      return res.json({
+        success: true,
+        disclosure: createDisclosure({ wallet, openings, commitments, verifierPublicKey }),
+      });
+    } catch (error) {
+      return res.status(400).json({ error: `❌ ${error.message}` });
+    }
+  });
+
+  // Check opened fields against commitments. Body: { openings, commitments },
+  // with at least one opening.
+  router.post("/privacy/verify", (req, res) => {
+    const { openings, commitments } = req.body ?? {};
+    if (!isPlainObject(openings) || Object.keys(openings).length === 0 || !isPlainObject(commitments)) {
+      return res.status(400).json({ error: "❌ At least one opening, and the commitments to check it against, are required" });
+    }
+    for (const [field, opening] of Object.entries(openings)) {
+      if (!isOpening(opening)) {
+        return res.status(400).json({ error: `❌ The opening for "${field}" must be { value, salt } with string values` });
+      }
+      if (typeof commitments[field] !== "string") {
+        return res.status(400).json({ error: `❌ No commitment for "${field}"` });
+      }
+    }
+
+    const fields = Object.fromEntries(
+      Object.entries(openings).map(([field, opening]) => [field, verifyCommitment(field, opening, commitments[field])])
+    );
+    return res.json({ success: true, valid: Object.values(fields).every(Boolean), fields });
+  });
+
+  return router;
+}
@@ -0,0 +1,100 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { normalizeReviews, summarizeReviews } from "./reviews.js";
+
+// Normalized profile format. Bump the version (and add schema/profile.v<N>.json)
+// whenever the pinned document shape changes. Older schemas stay in place so
+// documents pinned under them can still be checked.
+export const PROFILE_SCHEMA_VERSION = 6;
+export const GIG_SCHEMA_VERSION = 1;
+export const GITHUB_SCHEMA_VERSION = 1;
+
+const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "schema");
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+const validators = new Map(); // { "profile.v2": validate }
+
+function getValidator(name, version) {
+  const key = `${name}.v${version}`;
+  if (!validators.has(key)) {
+    const file = path.join(SCHEMA_DIR, `${key}.json`);
+    if (!fs.existsSync(file)) return null;
+    validators.set(key, ajv.compile(JSON.parse(fs.readFileSync(file, "utf8"))));
+  }
+  return validators.get(key);
+}
+
+// Run a schema and report each error against the offending field as a JSON
+// pointer, e.g. "/gigs/0/link"
+function runValidator(validate, document) {
+  if (validate(document)) {
+    return { valid: true, errors: [] };
+  }
+
+  // if/then branches report an extra "must match then schema" error on top of
+  // the real one, which says nothing useful to the caller
+  const errors = validate.errors
+    .filter((error) => error.keyword !== "if")
+    .map((error) => ({
+      field:
+        error.keyword === "required"
+          ? `${error.instancePath}/${error.params.missingProperty}`
+          : error.instancePath || "/",
+      message: error.message,
+    }));
+
+  return { valid: false, errors };
+}
+
+function unknownVersion(version) {
+  return { valid: false, errors: [{ field: "/schemaVersion", message: `unknown schema version ${version}` }] };
+}
+
+// Wrap the fields extracted by a platform spec into a normalized profile.
+// `previousVersion` is the CID of the profile this one supersedes (see
+// history.js).
+export function normalizeProfile(data, { platform, specVersion, profileUrl, scrapedAt, previousVersion = null }) {
+  const profile = {
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    platform,
+    specVersion,
+    profileUrl,
+    scrapedAt: new Date(scrapedAt ?? Date.now()).toISOString(),
+    previousVersion,
+    ...data,
+  };
+
+  if (data.reviews) {
+    profile.reviews = normalizeReviews(data.reviews, profile);
+    profile.reviewStats = summarizeReviews(profile.reviews);
+  }
+
+  return profile;
+}
+
+// Validate a profile against the schema version it declares. Returns
+// { valid, errors }.
+export function validateProfile(profile) {
+  const version = profile?.schemaVersion ?? PROFILE_SCHEMA_VERSION;
+  const validate = getValidator("profile", version);
+  return validate ? runValidator(validate, profile) : unknownVersion(version);
+}
+
+// Validate a pinned gig document (see gigs.js). Returns { valid, errors }.
+export function validateGig(gig) {
+  const version = gig?.schemaVersion ?? GIG_SCHEMA_VERSION;
+  const validate = getValidator("gig", version);
+  return validate ? runValidator(validate, gig) : unknownVersion(version);
+}
+
+// Validate a GitHub account summary (see github.js). Returns { valid, errors }.
+export function validateGithubSummary(summary) {
+  const version = summary?.schemaVersion ?? GITHUB_SCHEMA_VERSION;
+  const validate = getValidator("github", version);
+  return validate ? runValidator(validate, summary) : unknownVersion(version);
+}
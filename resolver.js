@@ -0,0 +1,254 @@
+import express from "express";
+import dotenv from "dotenv";
+import { ZeroAddress, getAddress, isAddress } from "ethers";
+import { CID } from "multiformats/cid";
+import { formatDidRecord } from "./contract.js";
+import { indexedDid } from "./indexer.js";
+import { normalizeAccount } from "./ownership.js";
+import { issuerAddress, issuerDid } from "./credentials.js";
+
+dotenv.config();
+
+// DID resolution.
+//
+// Turns the registry's `did` strings and didRecords into W3C DID Documents:
+// the registering wallet is the verification method, and the linked GitHub,
+// Fiverr and Upwork accounts and the pinned profile (the `ipfs://` CID in
+// `additional`) are services. GET /api/did/:did returns a DID Resolution
+// Result, or just the document when asked for application/did+ld+json.
+//
+// The service is also a did:web (did:web:<DID_WEB_DOMAIN>): its document at
+// /.well-known/did.json carries the credential issuer key (see
+// credentials.js), and /users/<wallet>/did.json serves each registered
+// wallet's document as did:web:<domain>:users:<wallet>.
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, "");
+const DID_WEB_DOMAIN = process.env.DID_WEB_DOMAIN || new URL(PUBLIC_URL).host;
+// did:web percent-encodes the port separator
+export const SERVICE_DID = `did:web:${DID_WEB_DOMAIN.replace(/:/g, "%3A")}`;
+
+const DID_CONTEXT = "https://www.w3.org/ns/did/v1";
+const SECP256K1_CONTEXT = "https://w3id.org/security/suites/secp256k1recovery-2020/v2";
+const RESOLUTION_CONTEXT = "https://w3id.org/did-resolution/v1";
+const DOCUMENT_CONTENT_TYPE = "application/did+ld+json";
+
+// Services for the accounts a DID record links, in this order
+const LINKED_ACCOUNTS = ["github", "fiverr", "upwork"];
+
+// The profile CID a record points at: `ipfs://<cid>` or a bare CID in
+// `additional`, or null
+export function profileCidOf(record) {
+  const value = (record.additional || "").trim().replace(/^ipfs:\/\//, "");
+  try {
+    return CID.parse(value).toString();
+  } catch {
+    return null;
+  }
+}
+
+function verificationMethod(did, fragment, address, chainId) {
+  return {
+    id: `${did}#${fragment}`,
+    type: "EcdsaSecp256k1RecoveryMethod2020",
+    controller: did,
+    blockchainAccountId: `eip155:${chainId}:${address}`,
+  };
+}
+
+// The DID Document for an on-chain record. `id` defaults to the record's own
+// DID; the did:web form passes its own and lists the on-chain one in
+// alsoKnownAs. Linked accounts that do not parse are left out.
+export function buildDidDocument(record, { chainId, id = record.did }) {
+  const method = verificationMethod(id, "controller", getAddress(record.userWallet), chainId);
+  const service = [];
+
+  for (const platform of LINKED_ACCOUNTS) {
+    const account = normalizeAccount(platform, record[platform]);
+    if (account) {
+      service.push({ id: `${id}#${platform}`, type: "LinkedAccount", serviceEndpoint: account.profileUrl });
+    }
+  }
+  const cid = profileCidOf(record);
+  if (cid) {
+    service.push({ id: `${id}#profile`, type: "FreelancerProfile", serviceEndpoint: `ipfs://${cid}` });
+  }
+
+  return {
+    "@context": [DID_CONTEXT, SECP256K1_CONTEXT],
+    id,
+    ...(id !== record.did && { alsoKnownAs: [record.did] }),
+    verificationMethod: [method],
+    authentication: [method.id],
+    assertionMethod: [method.id],
+    service,
+  };
+}
+
+// The service's own did:web document, or null when no issuer key is set
+export function buildServiceDocument({ chainId }) {
+  const address = issuerAddress();
+  if (!address) return null;
+
+  const method = verificationMethod(SERVICE_DID, "issuer", address, chainId);
+  return {
+    "@context": [DID_CONTEXT, SECP256K1_CONTEXT],
+    id: SERVICE_DID,
+    alsoKnownAs: [issuerDid()],
+    verificationMethod: [method],
+    assertionMethod: [method.id],
+    service: [{ id: `${SERVICE_DID}#did-resolver`, type: "DIDResolver", serviceEndpoint: `${PUBLIC_URL}/api/did/` }],
+  };
+}
+
+function resolutionError(error, message) {
+  return { didDocument: null, didResolutionMetadata: { error, message }, didDocumentMetadata: {} };
+}
+
+// Build a resolver over the registry `contract` (see contract.js; optional,
+// without it only the service's own DID resolves). Returns { resolve }.
+export function createDidResolver(contract = null) {
+  let chainIdPromise = null;
+
+  // DID_CHAIN_ID, else the connected network, else mainnet
+  const chainId = () => {
+    if (process.env.DID_CHAIN_ID) return Promise.resolve(Number(process.env.DID_CHAIN_ID));
+    if (!contract) return Promise.resolve(1);
+    chainIdPromise ??= contract.runner.provider.getNetwork().then(
+      (network) => Number(network.chainId),
+      (error) => {
+        // Ask the node again next time rather than failing for good
+        chainIdPromise = null;
+        throw error;
+      }
+    );
+    return chainIdPromise;
+  };
+
+  // The on-chain record of a DID (from the index when it is there), or null
+  const recordOf = async (did) => {
+    const indexed = indexedDid(did);
+    if (indexed) return indexed.record;
+    const record = formatDidRecord(await contract.didRecords(did));
+    return record.userWallet && record.userWallet !== ZeroAddress ? record : null;
+  };
+
+  // Resolve a DID to a DID Resolution Result
+  async function resolve(did) {
+    if (!/^did:[a-z0-9]+:.+$/.test(did ?? "")) {
+      return resolutionError("invalidDid", "Not a DID");
+    }
+
+    if (did === SERVICE_DID) {
+      const didDocument = buildServiceDocument({ chainId: await chainId() });
+      if (!didDocument) return resolutionError("notFound", "This service has no issuer key");
+      return { didDocument, didResolutionMetadata: { contentType: DOCUMENT_CONTENT_TYPE }, didDocumentMetadata: {} };
+    }
+    if (!contract) {
+      return resolutionError("notFound", "No DID registry is configured");
+    }
+
+    // did:web:<domain>:users:<wallet> stands for the wallet's on-chain DID
+    let onChainDid = did;
+    const webUser = did.startsWith(`${SERVICE_DID}:users:`) ? did.slice(`${SERVICE_DID}:users:`.length) : null;
+    if (webUser !== null) {
+      if (!isAddress(webUser)) return resolutionError("invalidDid", "Not a wallet address");
+      onChainDid = await contract.userToDID(webUser);
+      if (!onChainDid) return resolutionError("notFound", `No DID is registered for ${webUser}`);
+    }
+
+    const record = await recordOf(onChainDid);
+    if (!record) {
+      return resolutionError("notFound", `${did} is not registered`);
+    }
+
+    // A wallet that registered again has moved on to its newer DID
+    const deactivated = (await contract.userToDID(record.userWallet)) !== onChainDid;
+    const indexed = indexedDid(onChainDid);
+    const created = new Date(Number(record.timestamp) * 1000).toISOString();
+
+    return {
+      didDocument: buildDidDocument(record, { chainId: await chainId(), id: did }),
+      didResolutionMetadata: { contentType: DOCUMENT_CONTENT_TYPE },
+      didDocumentMetadata: {
+        created,
+        updated: created,
+        deactivated,
+        ...(indexed && { versionId: String(indexed.blockNumber), transactionHash: indexed.transactionHash }),
+      },
+    };
+  }
+
+  return { resolve };
+}
+
+// HTTP status for a resolution result, as in the DID Resolution HTTP binding
+function statusOf(result) {
+  switch (result.didResolutionMetadata.error) {
+    case "invalidDid":
+      return 400;
+    case "notFound":
+      return 404;
+    default:
+      return result.didDocumentMetadata.deactivated ? 410 : 200;
+  }
+}
+
+// Send a resolution result, or only the document if the client asked for it
+function sendResult(req, res, result) {
+  res.status(statusOf(result));
+  const accept = req.get("accept") ?? "";
+  if (result.didDocument && (accept.includes(DOCUMENT_CONTENT_TYPE) || accept.includes("application/did+json"))) {
+    return res.type(DOCUMENT_CONTENT_TYPE).send(JSON.stringify(result.didDocument));
+  }
+  return res.type(`application/ld+json;profile="${RESOLUTION_CONTEXT}"`).send(JSON.stringify({ "@context": RESOLUTION_CONTEXT, ...result }));
+}
+
+// Build the DID resolution routes. `contract` as for createDidResolver.
+export function createDidResolverRouter({ contract = null } = {}) {
+  const router = express.Router();
+  const resolver = createDidResolver(contract);
+
+  // DIDs are taken from the raw path, so did:web's %3A survives; a DID
+  // encoded as a whole (no ":" left) is decoded once
+  router.get("/api/did/:did", async (req, res) => {
+    const raw = req.path.slice("/api/did/".length);
+    const did = raw.includes(":") ? raw : decodeURIComponent(raw);
+
+    try {
+      return sendResult(req, res, await resolver.resolve(did));
+    } catch (error) {
+      console.error("❌ DID resolution failed:", error.message);
+      return res.status(500).json(resolutionError("internalError", error.message));
+    }
+  });
+
+  // did:web document of this service
+  router.get("/.well-known/did.json", async (req, res) => {
+    try {
+      const result = await resolver.resolve(SERVICE_DID);
+      if (!result.didDocument) {
+        return res.status(404).json({ success: false, error: result.didResolutionMetadata.message });
+      }
+      return res.json(result.didDocument);
+    } catch (error) {
+      console.error("❌ DID resolution failed:", error.message);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // did:web document of a registered wallet
+  router.get("/users/:wallet/did.json", async (req, res) => {
+    try {
+      const result = await resolver.resolve(`${SERVICE_DID}:users:${req.params.wallet}`);
+      if (!result.didDocument) {
+        return res.status(statusOf(result)).json({ success: false, error: result.didResolutionMetadata.message });
+      }
+      return res.json(result.didDocument);
+    } catch (error) {
+      console.error("❌ DID resolution failed:", error.message);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
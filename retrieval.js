@@ -0,0 +1,154 @@
+import express from "express";
+import axios from "axios";
+import dotenv from "dotenv";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256 } from "multiformats/hashes/sha2";
+import { importer } from "ipfs-unixfs-importer";
+import { MemoryBlockstore } from "blockstore-core/memory";
+import { fetchFromIPFS } from "./ipfs.js";
+import { validateProfile, validateGig, validateGithubSummary } from "./profile.js";
+
+dotenv.config();
+
+// Reading pinned documents back. Content is fetched from the gateways in
+// IPFS_GATEWAYS in order (then from the configured storage providers), and
+// only accepted if it hashes to the CID that was asked for, so a gateway
+// cannot hand back anything else. Verified documents are cached in memory;
+// content under a CID never changes, so entries never go stale.
+
+const GATEWAYS = (process.env.IPFS_GATEWAYS || "https://ipfs.io,https://dweb.link,https://gateway.pinata.cloud")
+  .split(",")
+  .map((gateway) => gateway.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+const RETRIEVAL_TIMEOUT_MS = Number(process.env.RETRIEVAL_TIMEOUT_MS) || 15000;
+const RETRIEVAL_MAX_BYTES = Number(process.env.RETRIEVAL_MAX_BYTES) || 5 * 1024 * 1024;
+const RETRIEVAL_CACHE_SIZE = Number(process.env.RETRIEVAL_CACHE_SIZE) || 500;
+
+const cache = new Map(); // { cid: { document, source, verifiedAt } }, oldest first
+
+function remember(cid, entry) {
+  cache.delete(cid);
+  cache.set(cid, entry);
+  if (cache.size > RETRIEVAL_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// Recompute the CID of `bytes` the way it was originally added: as a raw
+// block, or as UnixFS (CIDv0, or CIDv1 with raw leaves as `ipfs add
+// --cid-version=1` does)
+async function matchesCid(cid, bytes) {
+  if (cid.code === raw.code) {
+    const digest = await sha256.digest(bytes);
+    return CID.create(1, raw.code, digest).equals(cid);
+  }
+
+  let root;
+  for await (const entry of importer([{ content: bytes }], new MemoryBlockstore(), {
+    cidVersion: cid.version,
+    rawLeaves: cid.version === 1,
+    reduceSingleLeafToSelf: true,
+  })) {
+    root = entry.cid;
+  }
+  return root.toString() === cid.toString();
+}
+
+async function fetchFromGateway(gateway, cid) {
+  const response = await axios.get(`${gateway}/ipfs/${cid}`, {
+    responseType: "arraybuffer",
+    timeout: RETRIEVAL_TIMEOUT_MS,
+    maxContentLength: RETRIEVAL_MAX_BYTES,
+  });
+  return new Uint8Array(response.data);
+}
+
+// Fetch and verify the bytes behind a CID. Returns { bytes, source } or
+// throws with the reason each source failed.
+export async function fetchVerified(cidString) {
+  const cid = CID.parse(cidString);
+  const sources = [
+    ...GATEWAYS.map((gateway) => ({ name: gateway, fetch: () => fetchFromGateway(gateway, cid) })),
+    { name: "storage", fetch: () => fetchFromIPFS(cidString) },
+  ];
+  const failures = [];
+
+  for (const source of sources) {
+    try {
+      const bytes = await source.fetch();
+      if (await matchesCid(cid, bytes)) {
+        return { bytes, source: source.name };
+      }
+      console.error(`⚠️ ${source.name} returned content that does not match ${cidString}`);
+      failures.push({ source: source.name, error: "content does not match the CID" });
+    } catch (error) {
+      failures.push({ source: source.name, error: error.message });
+    }
+  }
+
+  const error = new Error(`Could not retrieve verified content for ${cidString}`);
+  error.failures = failures;
+  throw error;
+}
+
+// Which schema a pinned document follows
+function validateDocument(document) {
+  if (document?.gigUrl) return { type: "gig", ...validateGig(document) };
+  if (Array.isArray(document?.repos)) return { type: "github", ...validateGithubSummary(document) };
+  return { type: "profile", ...validateProfile(document) };
+}
+
+// Fetch, verify and parse a pinned profile or gig document. Returns
+// { cid, type, document, source, verifiedAt, cached, valid, errors }.
+export async function retrieveDocument(cid) {
+  const cached = cache.get(cid);
+  if (cached) {
+    remember(cid, cached);
+    return { cid, ...cached, cached: true };
+  }
+
+  const { bytes, source } = await fetchVerified(cid);
+  const document = JSON.parse(new TextDecoder().decode(bytes));
+  const { type, valid, errors } = validateDocument(document);
+  const entry = { type, document, source, verifiedAt: new Date().toISOString(), valid, errors };
+
+  // Only documents that pass their schema are worth keeping
+  if (valid) remember(cid, entry);
+  return { cid, ...entry, cached: false };
+}
+
+// Build the retrieval route
+export function createRetrievalRouter() {
+  const router = express.Router();
+
+  // A pinned document, verified against its CID and schema
+  router.get("/api/ipfs/:cid", async (req, res) => {
+    try {
+      CID.parse(req.params.cid);
+    } catch {
+      return res.status(400).json({ error: "❌ Invalid CID" });
+    }
+
+    let result;
+    try {
+      result = await retrieveDocument(req.params.cid);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return res.status(422).json({ success: false, error: "Content is not JSON" });
+      }
+      return res.status(502).json({ success: false, error: error.message, failures: error.failures ?? [] });
+    }
+
+    const { document, valid, errors, ...details } = result;
+    if (!valid) {
+      return res.status(422).json({ success: false, error: `Content does not match the ${details.type} schema`, errors, ...details });
+    }
+
+    // The content behind a CID can never change
+    res.set({ "Cache-Control": "public, max-age=31536000, immutable", ETag: `"${req.params.cid}"` });
+    return res.json({ success: true, ...details, document });
+  });
+
+  return router;
+}
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { openStore } from "./store.js";
+
+dotenv.config();
+
+// Individual reviews as pinned with the profile. Reviewer usernames are never
+// pinned: each reviewer is replaced by a stable hash, so verifiers can see how
+// many distinct buyers stand behind the reviews without learning who they are.
+// The hash is an HMAC, so it cannot be reversed by hashing known usernames:
+// keyed with REVIEWER_HASH_SECRET, or else with a random key generated on
+// first use and kept in data/secrets.json.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELATIVE_UNITS = { minute: DAY_MS / 1440, hour: DAY_MS / 24, day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS, year: 365 * DAY_MS };
+
+const secrets = openStore("secrets");
+
+function reviewerHashKey() {
+  if (process.env.REVIEWER_HASH_SECRET) return process.env.REVIEWER_HASH_SECRET;
+
+  let key = secrets.get("reviewerHashKey");
+  if (!key) {
+    console.warn("⚠️ REVIEWER_HASH_SECRET is not set: generated a reviewer hash key in data/secrets.json");
+    key = secrets.set("reviewerHashKey", crypto.randomBytes(32).toString("hex"));
+  }
+  return key;
+}
+
+export function hashReviewer(platform, reviewer) {
+  const value = `${platform}:${reviewer.trim().toLowerCase()}`;
+  return crypto.createHmac("sha256", reviewerHashKey()).update(value).digest("hex");
+}
+
+// "2 weeks ago", "a month ago", "yesterday" or "Mar 3, 2024" -> "YYYY-MM-DD".
+// Relative dates are resolved against the scrape time, so they are approximate.
+export function parseReviewDate(text, scrapedAt) {
+  if (!text) return null;
+  const now = new Date(scrapedAt).getTime();
+
+  if (/^today$/i.test(text)) return new Date(now).toISOString().slice(0, 10);
+  if (/^yesterday$/i.test(text)) return new Date(now - DAY_MS).toISOString().slice(0, 10);
+
+  const relative = text.match(/^(\d+|an?)\s+(minute|hour|day|week|month|year)s?\s+ago$/i);
+  if (relative) {
+    const amount = /^an?$/i.test(relative[1]) ? 1 : Number(relative[1]);
+    return new Date(now - amount * RELATIVE_UNITS[relative[2].toLowerCase()]).toISOString().slice(0, 10);
+  }
+
+  const absolute = Date.parse(`${text} UTC`);
+  return Number.isNaN(absolute) ? null : new Date(absolute).toISOString().slice(0, 10);
+}
+
+// Turn the reviews extracted by the platform spec into pinned review records,
+// dropping duplicates picked up across pages
+export function normalizeReviews(rawReviews, { platform, scrapedAt }) {
+  const reviews = [];
+  const seen = new Set();
+
+  for (const raw of rawReviews) {
+    const review = {
+      reviewerId: raw.reviewer ? hashReviewer(platform, raw.reviewer) : null,
+      country: raw.country,
+      rating: raw.rating,
+      date: parseReviewDate(raw.date, scrapedAt),
+      text: raw.text,
+      gig: raw.gigTitle || raw.gigLink ? { title: raw.gigTitle, link: raw.gigLink } : null,
+    };
+
+    const key = JSON.stringify([review.reviewerId, review.date, review.text]);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    reviews.push(review);
+  }
+
+  return reviews;
+}
+
+// Aggregate figures a verifier can recompute from the pinned reviews
+export function summarizeReviews(reviews) {
+  const ratings = reviews.map((review) => review.rating).filter((rating) => rating !== null);
+  const reviewers = new Set(reviews.map((review) => review.reviewerId).filter(Boolean));
+
+  return {
+    collected: reviews.length,
+    uniqueReviewers: reviewers.size,
+    averageRating: ratings.length
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100
+      : null,
+  };
+}
@@ -0,0 +1,189 @@
+import { withPage, gotoAndWait } from "./browser.js";
+import { extractWithSpec } from "./extractor.js";
+import { getPlatform } from "./platforms.js";
+import { normalizeProfile } from "./profile.js";
+
+// Serve `html` as the response for `profileUrl` and block every other request,
+// so a saved snapshot renders exactly as captured without touching the network
+async function loadFixture(page, profileUrl, html) {
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      request.respond({ status: 200, contentType: "text/html; charset=utf-8", body: html });
+    } else {
+      request.abort();
+    }
+  });
+  await page.goto(profileUrl, { waitUntil: "load" });
+}
+
+// Click the first enabled "next" / "show more" button and wait until the list
+// of `itemSelector` elements changes. Returns false when there is nothing more
+// to load.
+async function clickNext(page, buttonSelectors, itemSelector) {
+  // Runs in the page: a cheap fingerprint of the current list
+  const listSignature = (selector) => {
+    const items = document.querySelectorAll(selector);
+    return `${items.length}:${items[0]?.innerText ?? ""}:${items[items.length - 1]?.innerText ?? ""}`;
+  };
+
+  for (const selector of buttonSelectors) {
+    const button = await page.$(selector);
+    if (!button) continue;
+
+    const disabled = await button.evaluate((el) => el.disabled || el.getAttribute("aria-disabled") === "true");
+    if (disabled) continue;
+
+    const before = await page.evaluate(listSignature, itemSelector);
+    await button.click();
+    try {
+      await page.waitForFunction(
+        (selector, before) => {
+          const items = document.querySelectorAll(selector);
+          return `${items.length}:${items[0]?.innerText ?? ""}:${items[items.length - 1]?.innerText ?? ""}` !== before;
+        },
+        {},
+        itemSelector,
+        before
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+// Collect a list field across "show more" clicks and next pages, extracting
+// after every step. Items are de-duplicated as they come in, so this works
+// whether the site appends to the list or replaces it.
+async function collectPaginated(page, spec, name, { next, limit: specLimit }) {
+  const limit = Number(process.env[`${name.toUpperCase()}_LIMIT`]) || specLimit || 50;
+  const listSpec = { ...spec, fields: { [name]: spec.fields[name] } };
+  const items = [];
+  const seen = new Set();
+
+  while (items.length < limit) {
+    const { [name]: batch } = await extractWithSpec(page, listSpec);
+    const countBefore = items.length;
+
+    for (const item of batch) {
+      const key = JSON.stringify(item);
+      if (!seen.has(key)) {
+        seen.add(key);
+        items.push(item);
+      }
+    }
+
+    if (items.length === countBefore && countBefore > 0) break; // nothing new came in
+    if (items.length >= limit || !(await clickNext(page, next, spec.fields[name].selector))) break;
+  }
+
+  return items.slice(0, limit);
+}
+
+// Load a page and run a platform spec against it. Returns the extracted
+// fields, or null on failure. `onProgress` is called with "navigating" and
+// "extracting" as the scrape moves along.
+//
+// Pass an `artifacts` recorder (see artifacts.js) to keep a screenshot, the
+// final HTML, console and network logs of the page under `artifactLabel`.
+//
+// Fixture mode: pass `fixtureHtml` (a saved snapshot of `url`) to run the same
+// extraction offline.
+export async function scrapePage(url, platform, { onProgress = () => {}, fixtureHtml, artifacts, artifactLabel } = {}) {
+  const spec = getPlatform(platform);
+  if (!spec) {
+    console.error(`❌ No adapter registered for platform: ${platform}`);
+    return null;
+  }
+
+  const label = artifactLabel || spec.platform;
+  console.log(`🔵 Scraping ${spec.displayName}: ${url}`);
+
+  try {
+    return await withPage(async (page) => {
+      artifacts?.attach(page, label);
+
+      try {
+        onProgress("navigating");
+        if (fixtureHtml !== undefined) {
+          console.log("🔵 Loading fixture for:", url);
+          await loadFixture(page, url, fixtureHtml);
+        } else {
+          console.log("🔵 Navigating to:", url);
+          await gotoAndWait(page, url, spec.readySelector);
+        }
+
+        onProgress("extracting");
+        const domData = await extractWithSpec(page, spec);
+
+        // Saved snapshots run without JavaScript, so there is nothing to click through
+        if (fixtureHtml === undefined) {
+          for (const [name, options] of Object.entries(spec.paginate || {})) {
+            domData[name] = await collectPaginated(page, spec, name, options);
+          }
+        }
+
+        return domData;
+      } finally {
+        await artifacts?.snapshot(page, label);
+      }
+    });
+  } catch (error) {
+    console.error("❌ Scraping Error:", error);
+    return null;
+  }
+}
+
+// Function to scrape a profile page into a normalized profile. Takes the same
+// options as scrapePage, plus `scrapedAt` to make fixture output reproducible.
+export async function scrapeProfile(profileUrl, platform, { scrapedAt, ...options } = {}) {
+  const domData = await scrapePage(profileUrl, platform, options);
+  if (!domData) return null;
+
+  const spec = getPlatform(platform);
+  const profile = normalizeProfile(domData, {
+    platform: spec.platform,
+    specVersion: spec.version,
+    profileUrl,
+    scrapedAt,
+  });
+
+  console.log(`✅ Scraped Data (${spec.platform} spec v${spec.version}):`, profile);
+  return profile;
+}
+
+// Function to read the owner-editable text of a profile (the spec's
+// `ownership` field, e.g. the bio). Returns the text, "" if the page has
+// none, or null when the page could not be loaded.
+export async function scrapeOwnershipText(profileUrl, platform) {
+  const spec = getPlatform(platform);
+  if (!spec?.ownership) {
+    console.error(`❌ No ownership field in the ${platform} spec`);
+    return null;
+  }
+
+  console.log(`🔵 Reading ${spec.displayName} profile text: ${profileUrl}`);
+  try {
+    return await withPage(async (page) => {
+      await gotoAndWait(page, profileUrl, spec.readySelector);
+      const { text } = await extractWithSpec(page, { ...spec, fields: { text: spec.ownership } });
+      return text ?? "";
+    });
+  } catch (error) {
+    console.error("❌ Scraping Error:", error);
+    return null;
+  }
+}
+
+// Function to scrape a Fiverr profile
+export function scrapeFiverrProfile(profileUrl) {
+  return scrapeProfile(profileUrl, "fiverr");
+}
+
+// Function to scrape a public Upwork freelancer profile
+export function scrapeUpworkProfile(profileUrl) {
+  return scrapeProfile(profileUrl, "upwork");
+}
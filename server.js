@@ -1,10 +1,22 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import puppeteer from "puppeteer-extra";
-import StealthPlugin from "puppeteer-extra-plugin-stealth";
-import { create } from "ipfs-http-client";
 import dotenv from "dotenv";
+import { closeBrowserPool } from "./browser.js";
+import { createScrapeJobRouter } from "./jobs.js";
+import { fetchGithubProfile } from "./github.js";
+import { validateGithubSummary } from "./profile.js";
+import { initStorage, storeDataOnIPFS, storeFileOnIPFS, ipfsUrl } from "./ipfs.js";
+import { createPinIndexRouter } from "./pins.js";
+import { createProfileHistoryRouter } from "./history.js";
+import { createPrivacyRouter } from "./privacy.js";
+import { createBundleRouter } from "./bundle.js";
+import { createRetrievalRouter } from "./retrieval.js";
+import { createAdminRouter } from "./admin.js";
+import { createCredentialRouter } from "./credentials.js";
+import { createSiweRouter, requireSiweDomain } from "./siwe.js";
+import { createOwnershipRouter } from "./ownership.js";
+import { createDidResolverRouter } from "./resolver.js";
 
 // Load environment variables
 dotenv.config();
@@ -16,158 +28,88 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(bodyParser.json());
 
-// Configure Puppeteer to avoid detection
-puppeteer.use(StealthPlugin());
-
-// Validate environment variables
-if (!process.env.INFURA_PROJECT_ID || !process.env.INFURA_PROJECT_SECRET) {
-  console.error("❌ Missing Infura credentials. Check your .env file.");
+// Fail on start-up if no storage provider or sign-in domain is configured
+try {
+  initStorage();
+  requireSiweDomain();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-// Configure IPFS client
-const auth =
-  "Basic " +
-  Buffer.from(
-    `${process.env.INFURA_PROJECT_ID}:${process.env.INFURA_PROJECT_SECRET}`
-  ).toString("base64");
-
-const ipfs = create({
-  host: "ipfs.infura.io",
-  port: 5001,
-  protocol: "https",
-  headers: { authorization: auth },
-});
+// Sign-In with Ethereum: GET /auth/nonce, POST /auth/verify, GET /auth/session, POST /auth/logout
+app.use(createSiweRouter());
 
-// Function to store JSON data on IPFS
-async function storeDataOnIPFS(data) {
-  try {
-    const jsonData = JSON.stringify(data);
-    const result = await ipfs.add(jsonData);
-    return result.cid.toString();
-  } catch (error) {
-    console.error("❌ IPFS Upload Error:", error);
-    return null;
-  }
-}
+// Account ownership: POST /api/ownership/challenges, GET .../challenges/:id,
+// POST .../challenges/:id/verify, GET /api/profile/:wallet/ownership
+app.use(createOwnershipRouter());
 
-// Function to scrape Fiverr profile
-async function scrapeFiverrProfile(profileUrl) {
-  console.log(`🔵 Scraping: ${profileUrl}`);
-  let browser;
+// Scrape jobs: POST /scrape, GET /scrape/jobs/:id and its SSE event stream
+app.use(createScrapeJobRouter({ storeData: storeDataOnIPFS, storeFile: storeFileOnIPFS, ipfsUrl }));
 
-  try {
-    browser = await puppeteer.launch({
-      headless: false,
-      executablePath: "C:\\Users\\dhrit\\AppData\\Local\\Google\\Chrome\\Application\\chrome.exe",
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-
-    console.log("✅ Puppeteer launched successfully");
-
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36"
-    );
-    page.setDefaultNavigationTimeout(60000);
-
-    console.log("🔵 Navigating to:", profileUrl);
-await page.goto(profileUrl, { waitUntil: "networkidle2", timeout: 60000 });
-
-// Fix: Replacing page.waitForTimeout()
-await new Promise(r => setTimeout(r, 5000)); 
-
-// Debugging Screenshot
-await page.screenshot({ path: "fiverr_debug.png" });
-console.log("📸 Screenshot saved as fiverr_debug.png");
-
-
-    const domData = await page.evaluate(() => {
-      const getText = (selector) => {
-        const el = document.querySelector(selector);
-        return el ? el.innerText.trim() : "N/A";
-      };
-
-      const publicName = getText("h1[aria-label='Public Name']");
-      const username = getText("div[aria-label='Username']");
-      const gigTitle = getText("p[role='heading'][aria-level='3']");
-      let reviewsCount = "N/A";
-
-      const reviewsElement = document.querySelector("#Reviews h2.text-display-7");
-      if (reviewsElement) {
-        reviewsCount = reviewsElement.innerText.split("Reviews")[0].trim();
-      }
-
-      let skills = [];
-      const skillsList = document.querySelectorAll('ul[aria-label="Skills List"] li a');
-      if (skillsList.length > 0) {
-        skills = Array.from(skillsList).map((a) => a.innerText.trim());
-      }
-
-      let gigs = [];
-      const servicesSection = document.querySelector("#Services");
-      if (servicesSection) {
-        const gigContainer = servicesSection.querySelector(".gig_listings-package.listing-container.grid-view");
-        if (gigContainer) {
-          const gigElements = gigContainer.querySelectorAll(".gig-card-layout");
-          gigs = Array.from(gigElements).map((el) => {
-            const titleEl = el.querySelector("h4, h3, p");
-            const title = titleEl ? titleEl.innerText.trim() : "N/A";
-            const linkEl = el.querySelector("a");
-            const link = linkEl ? linkEl.href : "N/A";
-            return { title, link };
-          });
-        }
-      }
-
-      let projects = [];
-      const projectElements = document.querySelectorAll(".project-item");
-      projects = Array.from(projectElements).map((el) => {
-        const titleEl = el.querySelector(".project-title");
-        const title = titleEl ? titleEl.innerText.trim() : "N/A";
-        const imageEl = el.querySelector("img");
-        const image = imageEl ? imageEl.src : "N/A";
-        return { title, image };
-      });
-
-      return { publicName, username, gigTitle, reviewsCount, skills, gigs, projects };
-    });
-
-    console.log("✅ Scraped Data:", domData);
-    return domData;
-  } catch (error) {
-    console.error("❌ Scraping Error:", error);
-    return null;
-  } finally {
-    if (browser) {
-      await browser.close();
-      console.log("🛑 Browser closed.");
-    }
-  }
-}
+// Pin index: GET /pins, GET /pins/:contentHash, POST /pins/lookup
+app.use(createPinIndexRouter());
+
+// Profile versions: GET /api/profile/:wallet/history and .../history/diff
+app.use(createProfileHistoryRouter());
 
-// API Route to scrape Fiverr and store data on IPFS
-app.post("/scrape", async (req, res) => {
-  const { profileUrl } = req.body;
+// Privacy helpers: POST /privacy/public-key, /privacy/disclosures, /privacy/verify
+app.use(createPrivacyRouter());
 
-  if (!profileUrl) {
-    return res.status(400).json({ error: "❌ Profile URL is required" });
+// Verified reads of pinned documents: GET /api/ipfs/:cid
+app.use(createRetrievalRouter());
+
+// Pin administration (x-admin-key): GET /admin/pins, DELETE /admin/pins/:cid, POST /admin/pins/retention
+app.use(createAdminRouter());
+
+// Verifiable credentials: POST /api/credentials/verify, GET /api/credentials/status-list,
+// GET /api/profile/:wallet/credentials, POST /admin/credentials/:id/revoke
+app.use(createCredentialRouter());
+
+// Identity bundles: GET /api/profile/:wallet/bundle (CAR), POST /bundles/import
+app.use(createBundleRouter());
+
+// This service's did:web document: GET /.well-known/did.json (GET /api/did/:did
+// resolves registry DIDs in demo.js, which has the contract)
+app.use(createDidResolverRouter());
+
+// API Route to summarize a GitHub account and store it on IPFS
+app.post("/github", async (req, res) => {
+  const { github } = req.body;
+
+  if (!github) {
+    return res.status(400).json({ error: "❌ GitHub username or URL is required" });
   }
 
-  const scrapedData = await scrapeFiverrProfile(profileUrl);
-  if (!scrapedData) {
-    return res.status(500).json({ error: "❌ Failed to scrape Fiverr profile" });
+  const githubData = await fetchGithubProfile(github);
+  if (!githubData) {
+    return res.status(500).json({ error: "❌ Failed to fetch GitHub account" });
   }
 
-  const ipfsCID = await storeDataOnIPFS(scrapedData);
-  if (!ipfsCID) {
-    return res.status(500).json({ error: "❌ Failed to upload data to IPFS" });
+  // Never pin a summary that does not match its schema
+  const { valid, errors } = validateGithubSummary(githubData);
+  if (!valid) {
+    console.error("❌ GitHub summary failed validation:", errors);
+    return res.status(500).json({ error: "❌ GitHub summary failed validation", details: errors });
   }
 
-  return res.json({ success: true, cid: ipfsCID, ipfsUrl: `ipfs://${ipfsCID}` });
+  try {
+    const ipfsCID = await storeDataOnIPFS(githubData, "GithubProfileData");
+    return res.json({ success: true, cid: ipfsCID, ipfsUrl: ipfsUrl(ipfsCID) });
+  } catch (error) {
+    return res.status(502).json({ error: "❌ Failed to upload data to IPFS", code: error.code });
+  }
 });
 
 // Start the Express server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
 });
+
+// Close the shared scraping browser on shutdown
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, async () => {
+    await closeBrowserPool();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,306 @@
+import crypto from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { getAddress, verifyMessage } from "ethers";
+import { openStore } from "./store.js";
+
+dotenv.config();
+
+// Sign-In with Ethereum (EIP-4361).
+//
+// A client asks for a nonce, has the wallet sign a standard SIWE message
+// containing it, and trades message and signature for a session token. The
+// token goes in `Authorization: Bearer <token>` on routes that act for a
+// wallet (registration, linking profiles); see requireSession.
+//
+// Nonces are single use and expire; sessions expire too, and never outlive
+// the message's own Expiration Time. Only hashes of session tokens are kept.
+// Outstanding nonces live in memory only: after a restart the client just
+// asks for a new one.
+
+// Domain the message must be for: SIWE_DOMAIN, else the host of PUBLIC_URL.
+// Never the request's Host header, which the client controls.
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || (process.env.PUBLIC_URL ? new URL(process.env.PUBLIC_URL).host : null);
+// Chain the message must name; any chain when unset
+const SIWE_CHAIN_ID = process.env.SIWE_CHAIN_ID ? Number(process.env.SIWE_CHAIN_ID) : null;
+const NONCE_TTL_MS = (Number(process.env.SIWE_NONCE_TTL_MINUTES) || 10) * 60 * 1000;
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Outstanding nonces kept at most, in all and per client. Past either limit
+// new nonces are refused until some are used or expire: dropping live ones
+// would break sign-ins in progress.
+const MAX_NONCES = Number(process.env.SIWE_MAX_NONCES) || 10000;
+const MAX_NONCES_PER_CLIENT = Number(process.env.SIWE_MAX_NONCES_PER_CLIENT) || 20;
+
+const nonces = new Map(); // { nonce: { expiresAt, client } }, oldest first
+const noncesByClient = new Map(); // { client: outstanding nonces }
+const sessions = openStore("sessions"); // { sha256(token): { wallet, createdAt, expiresAt } }
+
+// --------------------------------------
+// EIP-4361 messages
+// --------------------------------------
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+
+// Optional fields after "Issued At", in the order the spec requires
+const OPTIONAL_FIELDS = [
+  ["Expiration Time", "expirationTime"],
+  ["Not Before", "notBefore"],
+  ["Request ID", "requestId"],
+];
+
+// Parse a SIWE message into its fields. Throws if it does not follow the
+// EIP-4361 format.
+export function parseSiweMessage(message) {
+  if (typeof message !== "string") {
+    throw new Error("Message must be a string");
+  }
+  const lines = message.split("\n");
+  let line = 0;
+  const expect = (condition, what) => {
+    if (!condition) throw new Error(`Malformed SIWE message: ${what} (line ${line + 1})`);
+  };
+
+  expect(lines[line]?.endsWith(HEADER_SUFFIX), "expected the sign-in header");
+  const origin = lines[line++].slice(0, -HEADER_SUFFIX.length);
+  const domain = origin.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+  const scheme = origin === domain ? null : origin.slice(0, origin.indexOf("://"));
+
+  const address = lines[line];
+  expect(/^0x[0-9a-fA-F]{40}$/.test(address ?? ""), "expected an address");
+  expect(getAddress(address) === address, "address must be EIP-55 checksummed");
+  line++;
+
+  expect(lines[line++] === "", "expected a blank line");
+  let statement = null;
+  if (lines[line] !== "") {
+    statement = lines[line++];
+    expect(statement !== undefined, "unexpected end of message");
+  }
+  expect(lines[line++] === "", "expected a blank line");
+
+  const field = (label, required = true) => {
+    const prefix = `${label}: `;
+    if (lines[line]?.startsWith(prefix)) return lines[line++].slice(prefix.length);
+    expect(!required, `expected "${label}"`);
+    return null;
+  };
+
+  const fields = {
+    scheme,
+    domain,
+    address,
+    statement,
+    uri: field("URI"),
+    version: field("Version"),
+    chainId: Number(field("Chain ID")),
+    nonce: field("Nonce"),
+    issuedAt: field("Issued At"),
+  };
+  for (const [label, key] of OPTIONAL_FIELDS) {
+    fields[key] = field(label, false);
+  }
+
+  fields.resources = [];
+  if (lines[line] === "Resources:") {
+    line++;
+    while (lines[line]?.startsWith("- ")) fields.resources.push(lines[line++].slice(2));
+  }
+  expect(line === lines.length, "unexpected trailing content");
+
+  expect(fields.version === "1", "unsupported version");
+  expect(Number.isInteger(fields.chainId) && fields.chainId > 0, "invalid chain id");
+  expect(/^[a-zA-Z0-9]{8,}$/.test(fields.nonce), "nonce must be at least 8 alphanumeric characters");
+  for (const key of ["issuedAt", "expirationTime", "notBefore"]) {
+    expect(fields[key] === null || !Number.isNaN(Date.parse(fields[key])), `invalid ${key}`);
+  }
+  return fields;
+}
+
+// --------------------------------------
+// Nonces and sessions
+// --------------------------------------
+
+function pruneExpired(collection, now = Date.now()) {
+  for (const [key, entry] of collection.entries()) {
+    if (Date.parse(entry.expiresAt) <= now) collection.delete(key);
+  }
+}
+
+// The domain SIWE messages must be for. Throws if neither SIWE_DOMAIN nor
+// PUBLIC_URL is set, so the server can refuse to start.
+export function requireSiweDomain() {
+  if (!SIWE_DOMAIN) {
+    throw new Error("Missing SIWE_DOMAIN (or PUBLIC_URL): sign-in messages need a fixed domain. Check your .env file.");
+  }
+  return SIWE_DOMAIN;
+}
+
+// Too many nonces outstanding, for everyone or for one client
+export class NonceLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NonceLimitError";
+  }
+}
+
+function spendNonce(nonce) {
+  const { client } = nonces.get(nonce);
+  nonces.delete(nonce);
+  const count = noncesByClient.get(client) - 1;
+  if (count > 0) noncesByClient.set(client, count);
+  else noncesByClient.delete(client);
+}
+
+// A fresh single-use nonce for `client` (e.g. the request's IP address).
+// Throws a NonceLimitError when too many are outstanding.
+export function issueNonce({ client = "" } = {}) {
+  const now = Date.now();
+  // Every nonce lives as long, so the expired ones are at the front
+  for (const [nonce, { expiresAt }] of nonces) {
+    if (expiresAt > now) break;
+    spendNonce(nonce);
+  }
+
+  if (nonces.size >= MAX_NONCES) {
+    throw new NonceLimitError("Too many sign-ins in progress; try again later");
+  }
+  if ((noncesByClient.get(client) ?? 0) >= MAX_NONCES_PER_CLIENT) {
+    throw new NonceLimitError("Too many sign-ins in progress from this client; try again later");
+  }
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  nonces.set(nonce, { expiresAt: now + NONCE_TTL_MS, client });
+  noncesByClient.set(client, (noncesByClient.get(client) ?? 0) + 1);
+  return { nonce, expiresAt: new Date(now + NONCE_TTL_MS).toISOString() };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Check a signed SIWE message and open a session for its wallet. Returns
+// { token, wallet, expiresAt }; throws with the reason it was refused.
+export function signIn(message, signature, { domain = requireSiweDomain() } = {}) {
+  const fields = parseSiweMessage(message);
+  const now = Date.now();
+
+  if (fields.domain !== domain) {
+    throw new Error(`Message is for ${fields.domain}, not ${domain}`);
+  }
+  if (SIWE_CHAIN_ID !== null && fields.chainId !== SIWE_CHAIN_ID) {
+    throw new Error(`Message is for chain ${fields.chainId}, not ${SIWE_CHAIN_ID}`);
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new Error("Message has expired");
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    throw new Error("Message is not valid yet");
+  }
+
+  let signer;
+  try {
+    signer = verifyMessage(message, signature);
+  } catch {
+    throw new Error("Invalid signature");
+  }
+  if (signer !== fields.address) {
+    throw new Error("Signature does not match the message's address");
+  }
+
+  // Spend the nonce only once the signature checks out, so a forged request
+  // cannot burn someone else's nonce
+  const issued = nonces.get(fields.nonce);
+  if (!issued || issued.expiresAt <= now) {
+    throw new Error("Unknown, expired or already used nonce");
+  }
+  spendNonce(fields.nonce);
+
+  pruneExpired(sessions, now);
+  const token = crypto.randomBytes(32).toString("base64url");
+  const sessionExpiresAt = Math.min(now + SESSION_TTL_MS, fields.expirationTime ? Date.parse(fields.expirationTime) : Infinity);
+  const session = sessions.set(hashToken(token), {
+    wallet: fields.address,
+    chainId: fields.chainId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(sessionExpiresAt).toISOString(),
+  });
+
+  console.log(`✅ Signed in ${fields.address}`);
+  return { token, wallet: session.wallet, expiresAt: session.expiresAt };
+}
+
+// The live session for a bearer token, or null
+function sessionForRequest(req) {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+
+  const session = sessions.get(hashToken(token));
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+  return { ...session, key: hashToken(token) };
+}
+
+// Middleware: require a signed-in wallet, available as req.auth.wallet
+export function requireSession(req, res, next) {
+  const session = sessionForRequest(req);
+  if (!session) {
+    return res.status(401).json({ error: "❌ Sign in with Ethereum first (Authorization: Bearer <token>)" });
+  }
+  req.auth = { wallet: session.wallet, expiresAt: session.expiresAt };
+  next();
+}
+
+// Is the request signed in as `wallet`?
+export function isSignedInAs(req, wallet) {
+  const session = sessionForRequest(req);
+  return Boolean(session && wallet && session.wallet.toLowerCase() === wallet.toLowerCase());
+}
+
+// Build the /auth routes. Throws if no SIWE domain is configured.
+export function createSiweRouter() {
+  const router = express.Router();
+  const domain = requireSiweDomain();
+
+  // A nonce to put in the SIWE message, with the domain it must name
+  router.get("/auth/nonce", (req, res) => {
+    let issued;
+    try {
+      issued = issueNonce({ client: req.ip });
+    } catch (error) {
+      if (error instanceof NonceLimitError) {
+        return res.status(429).json({ success: false, error: `❌ ${error.message}` });
+      }
+      throw error;
+    }
+    const { nonce, expiresAt } = issued;
+    return res.json({ success: true, nonce, expiresAt, domain, chainId: SIWE_CHAIN_ID });
+  });
+
+  // Exchange a signed SIWE message for a session. Body: { message, signature }
+  router.post("/auth/verify", (req, res) => {
+    const { message, signature } = req.body ?? {};
+    if (!message || !signature) {
+      return res.status(400).json({ error: "❌ Message and signature are required" });
+    }
+
+    try {
+      const session = signIn(message, signature, { domain });
+      return res.json({ success: true, ...session });
+    } catch (error) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+  });
+
+  // The wallet the bearer token is signed in as
+  router.get("/auth/session", requireSession, (req, res) => {
+    return res.json({ success: true, ...req.auth });
+  });
+
+  // End the session
+  router.post("/auth/logout", (req, res) => {
+    const session = sessionForRequest(req);
+    if (session) sessions.delete(session.key);
+    return res.json({ success: true });
+  });
+
+  return router;
+}
@@ -0,0 +1,317 @@
+import axios from "axios";
+import { create } from "ipfs-http-client";
+import { importer } from "ipfs-unixfs-importer";
+import { MemoryBlockstore } from "blockstore-core/memory";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// IPFS storage providers. Every provider has the same shape:
+//
+//   { name,
+//     storeJson(data, { name }) -> CID string,
+//     storeFile(bytes, { name }) -> CID string,
+//     cat(cid) -> Uint8Array,
+//     listPins({ name }) -> [{ cid, name, size, pinnedAt }],
+//     unpin(cid) }
+//
+// and reports failures by throwing a StorageError, never by returning null.
+// ipfs.js picks the configured provider(s); nothing else should need to know
+// which one is in use.
+//
+// Pinata and the in-memory provider keep a name, size and date per pin.
+// Infura and Kubo keep none of these, and report them as null.
+
+// Why a store failed. Callers can branch on `code` (retry on NETWORK or
+// RATE_LIMITED, alert on AUTH or CONFIG) without parsing messages.
+export const STORAGE_ERROR_CODES = ["CONFIG", "AUTH", "NETWORK", "RATE_LIMITED", "BAD_RESPONSE", "NOT_FOUND"];
+
+export class StorageError extends Error {
+  constructor(code, message, { provider = null, status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "StorageError";
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+// Map an HTTP status (or the lack of a response) to a StorageError
+function toStorageError(provider, error, status) {
+  if (error instanceof StorageError) return error;
+
+  const detail = error.response?.data?.error?.details || error.response?.data?.error || error.message;
+  const message = `${provider}: ${typeof detail === "string" ? detail : JSON.stringify(detail)}`;
+
+  if (!status) return new StorageError("NETWORK", message, { provider, cause: error });
+  if (status === 401 || status === 403) return new StorageError("AUTH", message, { provider, status, cause: error });
+  if (status === 404) return new StorageError("NOT_FOUND", message, { provider, status, cause: error });
+  if (status === 429) return new StorageError("RATE_LIMITED", message, { provider, status, cause: error });
+  return new StorageError("BAD_RESPONSE", message, { provider, status, cause: error });
+}
+
+// Chunk some bytes into UnixFS blocks the way `ipfs add` does (CIDv0), put
+// the blocks in `blockstore` and return the root CID
+export async function importBytes(bytes, blockstore = new MemoryBlockstore()) {
+  let root;
+  for await (const entry of importer([{ content: bytes }], blockstore, {
+    cidVersion: 0,
+    rawLeaves: false,
+    reduceSingleLeafToSelf: true,
+  })) {
+    root = entry.cid;
+  }
+  return root;
+}
+
+// CID (v0, as `ipfs add` computes it) of some bytes, without a node
+export async function cidForBytes(bytes) {
+  return (await importBytes(bytes)).toString();
+}
+
+// --------------------------------------
+// Pinata
+// --------------------------------------
+
+export function createPinataProvider({
+  apiKey = process.env.PINATA_API_KEY,
+  secretApiKey = process.env.PINATA_SECRET_API_KEY,
+  apiUrl = process.env.PINATA_API_URL || "https://api.pinata.cloud",
+  gatewayUrl = process.env.PINATA_GATEWAY_URL || "https://gateway.pinata.cloud",
+} = {}) {
+  if (!apiKey || !secretApiKey) {
+    throw new StorageError("CONFIG", "pinata: PINATA_API_KEY and PINATA_SECRET_API_KEY are required", { provider: "pinata" });
+  }
+
+  const client = axios.create({
+    baseURL: apiUrl,
+    headers: {
+      "Content-Type": "application/json",
+      pinata_api_key: apiKey,
+      pinata_secret_api_key: secretApiKey,
+    },
+  });
+
+  return {
+    name: "pinata",
+
+    async storeJson(data, { name } = {}) {
+      let response;
+      try {
+        response = await client.post("/pinning/pinJSONToIPFS", {
+          pinataContent: data,
+          pinataMetadata: { name: name || "ProfileData" },
+        });
+      } catch (error) {
+        throw toStorageError("pinata", error, error.response?.status);
+      }
+
+      return pinnedCid(response);
+    },
+
+    async storeFile(bytes, { name } = {}) {
+      const form = new FormData();
+      form.append("file", new Blob([bytes]), name || "file");
+      form.append("pinataMetadata", JSON.stringify({ name: name || "File" }));
+      form.append("pinataOptions", JSON.stringify({ cidVersion: 0 }));
+
+      let response;
+      try {
+        response = await client.post("/pinning/pinFileToIPFS", form, { headers: { "Content-Type": "multipart/form-data" } });
+      } catch (error) {
+        throw toStorageError("pinata", error, error.response?.status);
+      }
+
+      return pinnedCid(response);
+    },
+
+    // Every pin, optionally only those whose metadata name is `name`
+    async listPins({ name } = {}) {
+      const pageLimit = 1000;
+      const pins = [];
+
+      for (let pageOffset = 0; ; pageOffset += pageLimit) {
+        let response;
+        try {
+          response = await client.get("/data/pinList", {
+            params: { status: "pinned", pageLimit, pageOffset, ...(name && { "metadata[name]": name }) },
+          });
+        } catch (error) {
+          throw toStorageError("pinata", error, error.response?.status);
+        }
+
+        const rows = response.data?.rows ?? [];
+        pins.push(
+          ...rows.map((row) => ({
+            cid: row.ipfs_pin_hash,
+            name: row.metadata?.name ?? null,
+            size: row.size ?? null,
+            pinnedAt: row.date_pinned ?? null,
+          }))
+        );
+        if (rows.length < pageLimit) return pins;
+      }
+    },
+
+    async unpin(cid) {
+      try {
+        await client.delete(`/pinning/unpin/${cid}`);
+      } catch (error) {
+        throw toStorageError("pinata", error, error.response?.status);
+      }
+    },
+
+    // Pinata serves what it pins through its gateway
+    async cat(cid) {
+      try {
+        const response = await axios.get(`${gatewayUrl}/ipfs/${cid}`, { responseType: "arraybuffer" });
+        return new Uint8Array(response.data);
+      } catch (error) {
+        throw toStorageError("pinata", error, error.response?.status);
+      }
+    },
+  };
+}
+
+function pinnedCid(response) {
+  if (!response.data?.IpfsHash) {
+    throw new StorageError("BAD_RESPONSE", "pinata: response has no IpfsHash", { provider: "pinata" });
+  }
+  return response.data.IpfsHash;
+}
+
+// --------------------------------------
+// IPFS HTTP API (Infura, local Kubo node)
+// --------------------------------------
+
+function createIpfsHttpProvider(name, clientOptions) {
+  const ipfs = create(clientOptions);
+
+  const add = async (content) => {
+    try {
+      const result = await ipfs.add(content, { pin: true });
+      return result.cid.toString();
+    } catch (error) {
+      throw toStorageError(name, error, error.response?.status);
+    }
+  };
+
+  return {
+    name,
+
+    storeJson: (data) => add(JSON.stringify(data)),
+
+    storeFile: (bytes) => add(bytes),
+
+    async cat(cid) {
+      try {
+        const chunks = [];
+        for await (const chunk of ipfs.cat(cid)) chunks.push(chunk);
+        return new Uint8Array(Buffer.concat(chunks));
+      } catch (error) {
+        throw toStorageError(name, error, error.response?.status);
+      }
+    },
+
+    async listPins() {
+      try {
+        const pins = [];
+        for await (const pin of ipfs.pin.ls({ type: "recursive" })) {
+          pins.push({ cid: pin.cid.toString(), name: null, size: null, pinnedAt: null });
+        }
+        return pins;
+      } catch (error) {
+        throw toStorageError(name, error, error.response?.status);
+      }
+    },
+
+    async unpin(cid) {
+      try {
+        await ipfs.pin.rm(cid);
+      } catch (error) {
+        // Kubo answers 500 "not pinned" rather than 404
+        if (/not pinned/i.test(error.message)) {
+          throw new StorageError("NOT_FOUND", `${name}: ${cid} is not pinned`, { provider: name, cause: error });
+        }
+        throw toStorageError(name, error, error.response?.status);
+      }
+    },
+  };
+}
+
+export function createInfuraProvider({
+  projectId = process.env.INFURA_PROJECT_ID,
+  projectSecret = process.env.INFURA_PROJECT_SECRET,
+  apiUrl = process.env.INFURA_IPFS_URL || "https://ipfs.infura.io:5001",
+} = {}) {
+  if (!projectId || !projectSecret) {
+    throw new StorageError("CONFIG", "infura: INFURA_PROJECT_ID and INFURA_PROJECT_SECRET are required", { provider: "infura" });
+  }
+
+  return createIpfsHttpProvider("infura", {
+    url: `${apiUrl}/api/v0`,
+    headers: { authorization: "Basic " + Buffer.from(`${projectId}:${projectSecret}`).toString("base64") },
+  });
+}
+
+// A Kubo (go-ipfs) daemon, by default the one on this machine
+export function createKuboProvider({ apiUrl = process.env.KUBO_API_URL || "http://127.0.0.1:5001" } = {}) {
+  return createIpfsHttpProvider("kubo", { url: `${apiUrl}/api/v0` });
+}
+
+// --------------------------------------
+// In-memory (tests, offline development)
+// --------------------------------------
+
+// Keeps the data in this process only, under the CID a real node would give it
+export function createMemoryProvider() {
+  const files = new Map(); // { cid: { bytes, name, pinnedAt } }
+
+  const storeFile = async (bytes, { name } = {}) => {
+    const cid = await cidForBytes(bytes);
+    files.set(cid, { bytes, name: name ?? null, pinnedAt: new Date().toISOString() });
+    return cid;
+  };
+
+  const notFound = (cid) => new StorageError("NOT_FOUND", `memory: ${cid} is not stored here`, { provider: "memory" });
+
+  return {
+    name: "memory",
+
+    storeJson: (data, options) => storeFile(new TextEncoder().encode(JSON.stringify(data)), options),
+
+    storeFile,
+
+    async cat(cid) {
+      if (!files.has(cid)) throw notFound(cid);
+      return files.get(cid).bytes;
+    },
+
+    async listPins({ name } = {}) {
+      return Array.from(files, ([cid, file]) => ({ cid, name: file.name, size: file.bytes.length, pinnedAt: file.pinnedAt }))
+        .filter((pin) => !name || pin.name === name);
+    },
+
+    async unpin(cid) {
+      if (!files.delete(cid)) throw notFound(cid);
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  pinata: createPinataProvider,
+  infura: createInfuraProvider,
+  kubo: createKuboProvider,
+  memory: createMemoryProvider,
+};
+
+export const STORAGE_PROVIDERS = Object.keys(PROVIDER_FACTORIES);
+
+// Build a provider by name, with its settings taken from the environment
+export function createStorageProvider(name) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new StorageError("CONFIG", `Unknown storage provider "${name}" (expected one of: ${STORAGE_PROVIDERS.join(", ")})`);
+  }
+  return factory();
+}
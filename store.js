@@ -0,0 +1,77 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Small file-backed key/value collections for state that has to survive a
+// restart. Each collection is one JSON file under DATA_DIR, rewritten
+// atomically (write to a temp file, then rename) on every change.
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+
+const collections = new Map(); // { name: collection }
+
+class Collection {
+  constructor(name) {
+    this.file = path.join(DATA_DIR, `${name}.json`);
+    this.items = new Map();
+
+    if (fs.existsSync(this.file)) {
+      const saved = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      for (const [key, value] of Object.entries(saved)) {
+        this.items.set(key, value);
+      }
+    }
+  }
+
+  get(key) {
+    return this.items.get(key) ?? null;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.save();
+    return value;
+  }
+
+  // Shallow-merge `changes` into an existing entry
+  update(key, changes) {
+    const current = this.items.get(key);
+    if (!current) return null;
+    return this.set(key, { ...current, ...changes });
+  }
+
+  delete(key) {
+    const existed = this.items.delete(key);
+    if (existed) this.save();
+    return existed;
+  }
+
+  values() {
+    return Array.from(this.items.values());
+  }
+
+  entries() {
+    return Array.from(this.items.entries());
+  }
+
+  save() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.items), null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+// Open (or create) a named collection. Collections are shared per process.
+export function openStore(name) {
+  if (!collections.has(name)) {
+    collections.set(name, new Collection(name));
+  }
+  return collections.get(name);
+}
@@ -0,0 +1,159 @@
+import fs from "fs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { SigningKey, Wallet } from "ethers";
+import { useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+import { createPinataMock } from "../pinata-mock.js";
+
+useTempDataDir("bundle");
+
+// Pin to a local Pinata stand-in (see pinata-mock.js)
+const pinata = createPinataMock().listen(0);
+await new Promise((resolve) => pinata.once("listening", resolve));
+const pinataUrl = `http://127.0.0.1:${pinata.address().port}`;
+Object.assign(process.env, {
+  STORAGE_PROVIDER: "pinata",
+  PINATA_API_KEY: "test",
+  PINATA_SECRET_API_KEY: "test",
+  PINATA_API_URL: pinataUrl,
+  PINATA_GATEWAY_URL: pinataUrl,
+  ISSUER_PRIVATE_KEY: DEV_KEYS[2],
+});
+delete process.env.PII_FIELDS;
+
+const { exportBundle, importBundle, BundleOwnershipError, BundleSchemaError } = await import("../bundle.js");
+const { storeDataOnIPFS, fetchFromIPFS, unpinFromIPFS } = await import("../ipfs.js");
+const { recordVersion, historyForWallet } = await import("../history.js");
+const { protectProfile } = await import("../privacy.js");
+const { createChallenge, normalizeAccount } = await import("../ownership.js");
+const { issueOwnershipCredential } = await import("../credentials.js");
+const { openStore } = await import("../store.js");
+
+const readGolden = (path) => JSON.parse(fs.readFileSync(new URL(`../fixtures/${path}`, import.meta.url), "utf8"));
+
+// Project images, served locally instead of from the marketplace CDN
+let images;
+let imagesUrl;
+
+before(async () => {
+  const app = express();
+  app.get("/images/:name", (req, res) => res.type("png").send(Buffer.from(`image ${req.params.name}`)));
+  images = app.listen(0);
+  await new Promise((resolve) => images.once("listening", resolve));
+  imagesUrl = `http://127.0.0.1:${images.address().port}/images`;
+});
+
+after(() => {
+  images?.close();
+  pinata.close();
+});
+
+// A scraped profile of `platform` at `profileUrl`, with its images served locally
+function scraped(platform, profileUrl) {
+  const golden = readGolden(platform === "fiverr" ? "fiverr/sample_seller.golden.json" : "upwork/sample_freelancer.golden.json");
+  const local = (item, i) => ({ ...item, image: item.image && `${imagesUrl}/${platform}-${i}.png` });
+  return { ...golden, profileUrl, projects: golden.projects.map(local), ...(golden.gigs && { gigs: golden.gigs.map(local) }) };
+}
+
+// What verifying an ownership challenge leaves behind
+function proveOwnership(wallet, platform, profileUrl) {
+  const challenge = createChallenge(wallet, platform, normalizeAccount(platform, profileUrl));
+  const verifiedAt = new Date().toISOString();
+  const proof = issueOwnershipCredential({ ...challenge, method: "profile-text", evidenceUrl: profileUrl, verifiedAt });
+  openStore("ownershipChallenges").update(challenge.id, { verifiedAt, proofId: proof.id });
+}
+
+// Pin a profile for `wallet` as a scrape job would. Returns its CID.
+async function pinProfile(wallet, profile, { profileUrl = profile.profileUrl } = {}) {
+  const cid = await storeDataOnIPFS(profile, "ProfileData");
+  recordVersion({ ...profile, profileUrl }, cid, { wallet });
+  return cid;
+}
+
+test("a bundle round-trips after its pins are gone", async () => {
+  const wallet = Wallet.createRandom().address;
+  const profile = scraped("upwork", "https://www.upwork.com/freelancers/~01bundle1");
+  proveOwnership(wallet, "upwork", profile.profileUrl);
+  const cid = await pinProfile(wallet, profile);
+
+  const { manifest, car } = await exportBundle(wallet);
+  assert.deepEqual(manifest.missing, []);
+  assert.deepEqual(manifest.documents.map((document) => document.kind).sort(), ["image", "profile"]);
+
+  for (const document of manifest.documents) {
+    await unpinFromIPFS(document.cid);
+  }
+  await assert.rejects(fetchFromIPFS(cid));
+
+  const report = await importBundle(new Uint8Array(car), { wallet });
+  assert.ok(report.documents.every((document) => document.verified && document.pinnedAs === document.cid));
+  assert.deepEqual(JSON.parse(new TextDecoder().decode(await fetchFromIPFS(cid))), profile);
+
+  const [entry] = historyForWallet(wallet);
+  assert.deepEqual(entry.versions.map((version) => version.cid), [cid], "the same version is not added twice");
+});
+
+test("refuses a bundle with a block that does not match its CID", async () => {
+  const wallet = Wallet.createRandom().address;
+  const profile = scraped("upwork", "https://www.upwork.com/freelancers/~01bundle2");
+  proveOwnership(wallet, "upwork", profile.profileUrl);
+  await pinProfile(wallet, profile);
+
+  const { car } = await exportBundle(wallet);
+  const tampered = Buffer.from(car);
+  const at = tampered.indexOf("~01bundle2");
+  tampered.write("~01bundle3", at);
+
+  await assert.rejects(importBundle(new Uint8Array(tampered), { wallet }), /does not match its content/);
+});
+
+test("refuses a bundle of another wallet, or with profiles the wallet has not proved it owns", async () => {
+  const wallet = Wallet.createRandom().address;
+  const profile = scraped("upwork", "https://www.upwork.com/freelancers/~01bundle4");
+  await pinProfile(wallet, profile);
+  const { car } = await exportBundle(wallet);
+
+  await assert.rejects(importBundle(new Uint8Array(car), { wallet: Wallet.createRandom().address }), /belongs to/);
+  await assert.rejects(importBundle(new Uint8Array(car), { wallet }), (error) => {
+    assert.ok(error instanceof BundleOwnershipError);
+    assert.deepEqual(error.unproven, [{ platform: "upwork", value: profile.profileUrl }]);
+    return true;
+  });
+});
+
+test("refuses a bundle with a document that does not match its schema", async () => {
+  const wallet = Wallet.createRandom().address;
+  const profile = { ...scraped("upwork", "https://www.upwork.com/freelancers/~01bundle5"), skills: "everything" };
+  proveOwnership(wallet, "upwork", profile.profileUrl);
+  const cid = await pinProfile(wallet, profile);
+  const { car } = await exportBundle(wallet);
+  await unpinFromIPFS(cid);
+
+  await assert.rejects(importBundle(new Uint8Array(car), { wallet }), (error) => {
+    assert.ok(error instanceof BundleSchemaError);
+    assert.equal(error.invalid[0].cid, cid);
+    return true;
+  });
+  await assert.rejects(fetchFromIPFS(cid), "nothing was pinned");
+});
+
+test("imports a profile pinned with its PII kept private under the account it belongs to", async () => {
+  const owner = new SigningKey(DEV_KEYS[0]);
+  const wallet = Wallet.createRandom().address;
+  const profile = scraped("fiverr", "https://www.fiverr.com/sample_seller");
+  proveOwnership(wallet, "fiverr", profile.profileUrl);
+
+  // The pinned document names a stand-in; the history, the real account
+  const pinned = protectProfile(profile, { publicKeys: [owner.publicKey] });
+  assert.notEqual(pinned.profileUrl, profile.profileUrl);
+  const cid = await pinProfile(wallet, pinned, { profileUrl: profile.profileUrl });
+
+  const { car } = await exportBundle(wallet);
+  await unpinFromIPFS(cid);
+
+  const report = await importBundle(new Uint8Array(car), { wallet });
+  assert.ok(report.documents.every((document) => document.verified));
+  const history = historyForWallet(wallet);
+  assert.deepEqual(history.map((entry) => entry.profileUrl), [profile.profileUrl]);
+});
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+// Stand-in for the deployed SBT registry, with the ABI of SBT_ABI in
+// contract.js, for the tests that run against a local chain. A wallet that
+// registers again moves on to its new DID.
+contract DIDRegistry {
+    struct DIDRecord {
+        string did;
+        address userWallet;
+        string uniqueIdentifierHash;
+        uint256 timestamp;
+        string dateOfBirth;
+        string name;
+        string github;
+        string fiverr;
+        string upwork;
+        string additional;
+    }
+
+    mapping(string => DIDRecord) public didRecords;
+    mapping(address => string) public userToDID;
+
+    event DIDRegistered(address indexed user, string did, uint256 timestamp);
+
+    function registerDID(
+        address userWallet,
+        string memory did,
+        string memory uniqueIdentifierHash,
+        uint256 timestamp,
+        string memory dateOfBirth,
+        string memory name,
+        string memory github,
+        string memory fiverr,
+        string memory upwork,
+        string memory additional
+    ) external {
+        require(userWallet != address(0), "Invalid wallet");
+        require(bytes(did).length > 0, "Invalid DID");
+
+        didRecords[did] = DIDRecord(did, userWallet, uniqueIdentifierHash, timestamp, dateOfBirth, name, github, fiverr, upwork, additional);
+        userToDID[userWallet] = did;
+        emit DIDRegistered(userWallet, did, block.timestamp);
+    }
+}
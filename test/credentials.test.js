@@ -0,0 +1,156 @@
+import zlib from "zlib";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { SigningKey, Wallet, computeAddress, sha256, toUtf8Bytes } from "ethers";
+import { useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+
+useTempDataDir("credentials");
+process.env.ISSUER_PRIVATE_KEY = DEV_KEYS[2];
+process.env.PUBLIC_URL = "http://localhost:5000";
+
+// Another issuer, trusted by the verify route, that publishes its status list
+// from a local server
+const otherKey = new SigningKey(DEV_KEYS[0]);
+const otherDid = `did:ethr:${computeAddress(otherKey.publicKey)}`;
+process.env.CREDENTIAL_TRUSTED_ISSUERS = otherDid;
+
+const { issueOwnershipCredential, revokeCredential, statusListCredential, verifyCredential } = await import("../credentials.js");
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// A VC-JWT signed ES256K by `key`, as credentials.js signs them
+function signJwt(payload, key) {
+  const input = `${segment({ alg: "ES256K", typ: "JWT" })}.${segment(payload)}`;
+  const signature = key.sign(sha256(toUtf8Bytes(input)));
+  return `${input}.${Buffer.from(signature.r.slice(2) + signature.s.slice(2), "hex").toString("base64url")}`;
+}
+
+function payloadOf(jwt) {
+  return JSON.parse(Buffer.from(jwt.split(".")[1], "base64url").toString("utf8"));
+}
+
+// The same JWT with its payload changed and the signature kept
+function tamper(jwt, change) {
+  const [header, , signature] = jwt.split(".");
+  return `${header}.${segment(change(payloadOf(jwt)))}.${signature}`;
+}
+
+function issue() {
+  return issueOwnershipCredential({
+    wallet: Wallet.createRandom().address,
+    platform: "github",
+    handle: "octocat",
+    profileUrl: "https://github.com/octocat",
+    method: "profile-text",
+    code: "fid-test",
+    evidenceUrl: "https://github.com/octocat",
+    verifiedAt: new Date().toISOString(),
+  });
+}
+
+let listServer;
+let listSigner = otherKey;
+let listUrl;
+
+before(async () => {
+  // Index 3 of the other issuer's list is revoked
+  const app = express();
+  app.get("/status-list", (req, res) => {
+    const bits = Buffer.alloc(16384);
+    bits[0] = 0x80 >> 3;
+    res.send(signJwt({ iss: otherDid, vc: { credentialSubject: { encodedList: zlib.gzipSync(bits).toString("base64url") } } }, listSigner));
+  });
+  listServer = app.listen(0);
+  await new Promise((resolve) => listServer.once("listening", resolve));
+  listUrl = `http://127.0.0.1:${listServer.address().port}/status-list`;
+});
+
+after(() => listServer?.close());
+
+// A credential from the other issuer with status list index `index`
+function issuedElsewhere(index) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt(
+    {
+      iss: otherDid,
+      nbf: now,
+      exp: now + 3600,
+      vc: {
+        type: ["VerifiableCredential"],
+        credentialStatus: { type: "StatusList2021Entry", statusListIndex: String(index), statusListCredential: listUrl },
+      },
+    },
+    otherKey
+  );
+}
+
+test("accepts a credential as issued", async () => {
+  const result = await verifyCredential(issue().jwt);
+  assert.equal(result.valid, true, result.errors.join("; "));
+  assert.deepEqual(result.checks, { signature: true, issuer: true, expiry: true, revocation: true });
+});
+
+test("rejects a credential whose claims were changed after signing", async () => {
+  const jwt = tamper(issue().jwt, (payload) => {
+    payload.vc.credentialSubject.account.handle = "someone-else";
+    return payload;
+  });
+  const result = await verifyCredential(jwt);
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.signature, false);
+});
+
+test("rejects a credential signed by a key other than its issuer's", async () => {
+  const forged = signJwt(payloadOf(issue().jwt), new SigningKey(DEV_KEYS[1]));
+  const result = await verifyCredential(forged);
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.signature, false);
+  assert.equal(result.checks.revocation, null, "revocation is not looked up for a forgery");
+});
+
+test("rejects a credential with its signature cut or truncated", async () => {
+  const { jwt } = issue();
+  assert.equal((await verifyCredential(jwt.slice(0, jwt.lastIndexOf(".")))).valid, false);
+  assert.equal((await verifyCredential(jwt.slice(0, -4))).checks.signature, false);
+});
+
+test("rejects an expired credential", async () => {
+  const { jwt } = issue();
+  const result = await verifyCredential(jwt, { now: new Date((payloadOf(jwt).exp + 1) * 1000) });
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.expiry, false);
+});
+
+test("publishes a revoked credential in the status list and rejects it", async () => {
+  const { id, jwt } = issue();
+  const index = Number(payloadOf(jwt).vc.credentialStatus.statusListIndex);
+  revokeCredential(id, "testing");
+
+  const result = await verifyCredential(jwt);
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.revocation, false);
+  assert.ok(result.errors.includes("The credential has been revoked"));
+
+  const list = payloadOf(statusListCredential());
+  assert.deepEqual(list.vc.type, ["VerifiableCredential", "StatusList2021Credential"]);
+  const bits = zlib.gunzipSync(Buffer.from(list.vc.credentialSubject.encodedList, "base64url"));
+  assert.notEqual(bits[index >> 3] & (0x80 >> (index & 7)), 0);
+});
+
+test("reads a trusted issuer's status list only when that issuer signed it", async () => {
+  assert.equal((await verifyCredential(issuedElsewhere(2))).valid, true);
+
+  const revoked = await verifyCredential(issuedElsewhere(3));
+  assert.equal(revoked.valid, false);
+  assert.equal(revoked.checks.revocation, false);
+
+  listSigner = new SigningKey(DEV_KEYS[1]);
+  try {
+    const result = await verifyCredential(issuedElsewhere(2));
+    assert.equal(result.valid, false);
+    assert.match(result.errors.join("; "), /not signed by the issuer/);
+  } finally {
+    listSigner = otherKey;
+  }
+});
@@ -0,0 +1,117 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import solc from "solc";
+import { Contract, ContractFactory, JsonRpcProvider, Wallet } from "ethers";
+import { SBT_ABI } from "../../contract.js";
+
+// Local dev chain for the tests. Uses TEST_RPC_URL (an Anvil or Hardhat node
+// you started) when it is set, otherwise starts a Hardhat node on a free
+// port. Only RPC methods both Anvil and Hardhat have are used.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// The first accounts Anvil and Hardhat fund, from the same test mnemonic
+export const DEV_KEYS = [
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+  "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a",
+];
+
+// A fresh data directory for the stores, set before the modules are imported
+export function useTempDataDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  process.env.DATA_DIR = dir;
+  return dir;
+}
+
+function startHardhatNode() {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [path.join(ROOT, "node_modules/hardhat/internal/cli/cli.js"), "node", "--port", String(port)], {
+    cwd: ROOT,
+    env: { PATH: process.env.PATH, HARDHAT_DISABLE_TELEMETRY_PROMPT: "true" },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Hardhat node did not start:\n${output}`));
+    }, 60000);
+
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Started HTTP")) {
+        clearTimeout(timer);
+        resolve({ rpcUrl: `http://127.0.0.1:${port}`, stop: () => child.kill() });
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Hardhat node exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+// Start (or connect to) the dev chain. Returns { rpcUrl, provider, send, stop }.
+export async function startChain() {
+  const node = process.env.TEST_RPC_URL ? { rpcUrl: process.env.TEST_RPC_URL, stop() {} } : await startHardhatNode();
+  // No response caching, so a block mined by the test is seen right away
+  const provider = new JsonRpcProvider(node.rpcUrl, undefined, { cacheTimeout: -1, pollingInterval: 100 });
+  return {
+    rpcUrl: node.rpcUrl,
+    provider,
+    send: (method, params = []) => provider.send(method, params),
+    stop() {
+      provider.destroy();
+      node.stop();
+    },
+  };
+}
+
+let compiled = null;
+
+// Compile test/contracts/DIDRegistry.sol with solc-js
+function compileRegistry() {
+  if (compiled) return compiled;
+
+  const source = fs.readFileSync(path.join(ROOT, "test/contracts/DIDRegistry.sol"), "utf8");
+  const input = {
+    language: "Solidity",
+    sources: { "DIDRegistry.sol": { content: source } },
+    settings: {
+      viaIR: true,
+      optimizer: { enabled: true },
+      outputSelection: { "*": { DIDRegistry: ["abi", "evm.bytecode.object"] } },
+    },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors ?? []).filter((error) => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.formattedMessage).join("\n"));
+  }
+
+  const contract = output.contracts["DIDRegistry.sol"].DIDRegistry;
+  compiled = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  return compiled;
+}
+
+// Deploy a registry from the dev account `key`. Returns its address.
+export async function deployRegistry(chain, key = DEV_KEYS[0]) {
+  const { abi, bytecode } = compileRegistry();
+  const deployer = new Wallet(key, chain.provider);
+  const registry = await new ContractFactory(abi, bytecode, deployer).deploy();
+  await registry.waitForDeployment();
+  return registry.getAddress();
+}
+
+// The registry at `address` as the app sees it (SBT_ABI), signed by `key`
+export function connectRegistry(chain, address, key = DEV_KEYS[0]) {
+  return new Contract(address, SBT_ABI, new Wallet(key, chain.provider));
+}
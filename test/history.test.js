@@ -0,0 +1,50 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { Wallet } from "ethers";
+import { useTempDataDir } from "./helpers/chain.js";
+
+useTempDataDir("history");
+
+const { recordVersion, createProfileHistoryRouter } = await import("../history.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(createProfileHistoryRouter());
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+function diff(wallet, query = "") {
+  return fetch(`${baseUrl}/api/profile/${wallet}/history/diff${query}`, { signal: AbortSignal.timeout(5000) });
+}
+
+test("the diff picks one of a wallet's profiles by ?profileUrl=", async () => {
+  const wallet = Wallet.createRandom().address;
+  const first = "https://www.upwork.com/freelancers/~01history1";
+  const second = "https://www.upwork.com/freelancers/~01history2";
+  recordVersion({ platform: "upwork", profileUrl: first, skills: ["React"] }, "cid-first-1", { wallet });
+  recordVersion({ platform: "upwork", profileUrl: first, skills: ["React", "Solidity"] }, "cid-first-2", { wallet });
+  recordVersion({ platform: "upwork", profileUrl: second, skills: [] }, "cid-second-1", { wallet });
+
+  const ambiguous = await diff(wallet, "?platform=upwork");
+  assert.equal(ambiguous.status, 400);
+  assert.deepEqual((await ambiguous.json()).profiles.map((profile) => profile.profileUrl).sort(), [first, second]);
+
+  // However the URL is written
+  const res = await diff(wallet, `?profileUrl=${encodeURIComponent("https://upwork.com/freelancers/~01HISTORY1/")}`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.profileUrl, first);
+  assert.deepEqual(body.diff.skills, { added: ["Solidity"], removed: [] });
+
+  assert.equal((await diff(wallet, "?profileUrl=not-a-url")).status, 400);
+  assert.equal((await diff(Wallet.createRandom().address, "?profileUrl=not-a-url")).status, 400);
+  assert.equal((await diff(wallet, `?profileUrl=${encodeURIComponent("https://www.upwork.com/freelancers/~01other")}`)).status, 404);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startChain, deployRegistry, connectRegistry, useTempDataDir } from "./helpers/chain.js";
+
+useTempDataDir("indexer");
+process.env.INDEXER_CONFIRMATIONS = "1";
+process.env.INDEXER_START_BLOCK = "0";
+process.env.INDEXER_BATCH_BLOCKS = "3";
+
+const { createDidIndexer, indexedDid } = await import("../indexer.js");
+
+let chain;
+let contract;
+let indexer;
+
+const wallets = ["0x1000000000000000000000000000000000000001", "0x2000000000000000000000000000000000000002"];
+
+async function register(wallet, did, { github = "", fiverr = "" } = {}) {
+  const tx = await contract.registerDID(wallet, did, "hash", 1700000000, "", "", github, fiverr, "", "");
+  await tx.wait();
+}
+
+before(async () => {
+  chain = await startChain();
+  contract = connectRegistry(chain, await deployRegistry(chain));
+  indexer = createDidIndexer(contract);
+});
+
+after(() => chain?.stop());
+
+test("indexes confirmed registrations only", async () => {
+  await register(wallets[0], "did:test:alice", { fiverr: "https://www.fiverr.com/Alice" });
+  await indexer.syncOnce();
+  assert.equal(indexedDid("did:test:alice"), null, "the head block is not confirmed yet");
+
+  await chain.send("evm_mine");
+  await indexer.syncOnce();
+  assert.equal(indexedDid("did:test:alice").handles.fiverr, "alice");
+});
+
+test("a malformed on-chain handle does not stall the indexer", async () => {
+  await register(wallets[1], "did:test:broken", { github: "http://" });
+  await chain.send("evm_mine");
+  await indexer.syncOnce();
+
+  const entry = indexedDid("did:test:broken");
+  assert.equal(entry.handles.github, null);
+  assert.equal(indexer.status().indexedThrough, entry.blockNumber);
+});
+
+test("stores the record as of the event's block", async () => {
+  await register(wallets[1], "did:test:moved", { github: "first" });
+  await register(wallets[1], "did:test:moved", { github: "second" }); // the unconfirmed head
+  await indexer.syncOnce();
+
+  assert.equal(indexedDid("did:test:moved").record.github, "first");
+});
+
+test("rewinds and re-indexes past a reorg", async () => {
+  await chain.send("evm_mine");
+  await indexer.syncOnce();
+  const snapshot = await chain.send("evm_snapshot");
+
+  await register(wallets[0], "did:test:orphaned");
+  await chain.send("evm_mine");
+  await indexer.syncOnce();
+  const orphaned = indexedDid("did:test:orphaned");
+  assert.ok(orphaned);
+
+  // Replace those blocks with a longer chain that registers something else
+  await chain.send("evm_revert", [snapshot]);
+  await register(wallets[0], "did:test:canonical");
+  for (let i = 0; i < 3; i++) await chain.send("evm_mine");
+  const replaced = await chain.provider.getBlock(orphaned.blockNumber);
+  assert.notEqual(replaced.hash, orphaned.blockHash);
+
+  await indexer.syncOnce();
+  assert.equal(indexedDid("did:test:orphaned"), null);
+  assert.ok(indexedDid("did:test:canonical"));
+  assert.ok(indexedDid("did:test:alice"), "entries before the reorg are kept");
+
+  const head = await chain.provider.getBlockNumber();
+  assert.equal(indexer.status().indexedThrough, head - 1);
+});
@@ -0,0 +1,185 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { Wallet } from "ethers";
+import { useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+
+useTempDataDir("ownership");
+
+// A local stand-in for the GitHub API: the bio and gists of each user
+const accounts = new Map(); // { username: { bio, gists: [{ description, content }] } }
+let delayMs = 0;
+
+const githubMock = express();
+githubMock.get("/users/:username", async (req, res) => {
+  await new Promise((resolve) => setTimeout(resolve, delayMs));
+  const account = accounts.get(req.params.username);
+  if (!account) return res.status(404).json({ message: "Not Found" });
+  return res.json({ login: req.params.username, bio: account.bio, html_url: `https://github.com/${req.params.username}` });
+});
+githubMock.get("/users/:username/gists", (req, res) => {
+  const { gists = [] } = accounts.get(req.params.username) ?? {};
+  return res.json(
+    gists.map((gist, i) => ({
+      html_url: `https://gist.github.com/${req.params.username}/${i}`,
+      description: gist.description ?? null,
+      files: { "notes.txt": { size: gist.content.length, raw_url: `${githubUrl}/raw/${req.params.username}/${i}` } },
+    }))
+  );
+});
+githubMock.get("/raw/:username/:index", (req, res) => res.send(accounts.get(req.params.username).gists[req.params.index].content));
+
+const github = githubMock.listen(0);
+await new Promise((resolve) => github.once("listening", resolve));
+const githubUrl = `http://127.0.0.1:${github.address().port}`;
+
+Object.assign(process.env, {
+  GITHUB_API_URL: githubUrl,
+  SIWE_DOMAIN: "localhost",
+  ISSUER_PRIVATE_KEY: DEV_KEYS[2],
+  OWNERSHIP_MAX_ATTEMPTS: "2",
+});
+
+const { createOwnershipRouter, findOwnershipProof } = await import("../ownership.js");
+const { issueNonce, signIn } = await import("../siwe.js");
+const { verifyCredential, revokeCredential, credentialsForWallet } = await import("../credentials.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(createOwnershipRouter());
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+  github.close();
+});
+
+// A signed-in wallet
+async function signedIn() {
+  const wallet = Wallet.createRandom();
+  const { nonce } = issueNonce({ client: wallet.address });
+  const message = [
+    "localhost wants you to sign in with your Ethereum account:",
+    wallet.address,
+    "",
+    "Sign in to Freelancing ID",
+    "",
+    "URI: http://localhost",
+    "Version: 1",
+    "Chain ID: 31337",
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join("\n");
+  const { token } = signIn(message, await wallet.signMessage(message));
+  return { wallet: wallet.address, headers: { authorization: `Bearer ${token}`, "content-type": "application/json" } };
+}
+
+function request(user, path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: user.headers,
+    body: body && JSON.stringify(body),
+    signal: AbortSignal.timeout(5000),
+  });
+}
+
+// A challenge for a new GitHub account of `user`
+async function challengeFor(user, username) {
+  accounts.set(username, { bio: "Freelance developer", gists: [] });
+  const res = await request(user, "/api/ownership/challenges", { platform: "github", handle: username });
+  assert.equal(res.status, 201);
+  return (await res.json()).challenge;
+}
+
+const verify = (user, challenge) => request(user, `/api/ownership/challenges/${challenge.id}/verify`);
+
+test("issues no proof while the code is missing from the account", async () => {
+  const user = await signedIn();
+  const challenge = await challengeFor(user, "missing-code");
+
+  const res = await verify(user, challenge);
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).attemptsLeft, 1);
+  assert.equal(findOwnershipProof(user.wallet, "github", "missing-code"), null);
+  assert.equal(credentialsForWallet(user.wallet).length, 0);
+});
+
+test("issues a proof once the code is in the bio, and only once", async () => {
+  const user = await signedIn();
+  const challenge = await challengeFor(user, "bio-code");
+  accounts.get("bio-code").bio = `Freelance developer ${challenge.code}`;
+
+  const res = await verify(user, challenge);
+  assert.equal(res.status, 200);
+  const { proof } = await res.json();
+  const { valid, credential } = await verifyCredential(proof);
+  assert.equal(valid, true);
+  assert.deepEqual(credential.credentialSubject.account, { platform: "github", handle: "bio-code", profileUrl: "https://github.com/bio-code" });
+  assert.equal(credential.evidence[0].method, "github-bio");
+  assert.ok(findOwnershipProof(user.wallet, "github", "https://github.com/bio-code"));
+
+  assert.equal((await verify(user, challenge)).status, 409);
+});
+
+test("finds the code in a public gist", async () => {
+  const user = await signedIn();
+  const challenge = await challengeFor(user, "gist-code");
+  accounts.get("gist-code").gists = [{ content: "unrelated" }, { content: `wallet proof: ${challenge.code}` }];
+
+  const res = await verify(user, challenge);
+  assert.equal(res.status, 200);
+  assert.notEqual((await res.json()).challenge.proofId, null);
+  assert.ok(findOwnershipProof(user.wallet, "github", "gist-code"));
+});
+
+test("only the challenge's wallet can verify it", async () => {
+  const owner = await signedIn();
+  const other = await signedIn();
+  const challenge = await challengeFor(owner, "someone-else");
+  accounts.get("someone-else").bio = challenge.code;
+
+  assert.equal((await verify(other, challenge)).status, 404);
+  assert.equal(findOwnershipProof(other.wallet, "github", "someone-else"), null);
+});
+
+test("issues one proof when two checks run at once", async () => {
+  const user = await signedIn();
+  const challenge = await challengeFor(user, "concurrent");
+  accounts.get("concurrent").bio = challenge.code;
+
+  delayMs = 200;
+  try {
+    const statuses = (await Promise.all([verify(user, challenge), verify(user, challenge)])).map((res) => res.status);
+    assert.deepEqual(statuses.sort(), [200, 409]);
+  } finally {
+    delayMs = 0;
+  }
+  assert.equal(credentialsForWallet(user.wallet).length, 1);
+});
+
+test("stops checking after the allowed attempts", async () => {
+  const user = await signedIn();
+  const challenge = await challengeFor(user, "no-code");
+
+  assert.equal((await verify(user, challenge)).status, 422);
+  assert.equal((await verify(user, challenge)).status, 422);
+  assert.equal((await verify(user, challenge)).status, 429);
+});
+
+test("a revoked proof no longer counts", async () => {
+  const user = await signedIn();
+  const challenge = await challengeFor(user, "revoked");
+  accounts.get("revoked").bio = challenge.code;
+  assert.equal((await verify(user, challenge)).status, 200);
+
+  const proof = findOwnershipProof(user.wallet, "github", "revoked");
+  revokeCredential(proof.id);
+  assert.equal(findOwnershipProof(user.wallet, "github", "revoked"), null);
+});
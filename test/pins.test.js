@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTempDataDir } from "./helpers/chain.js";
+
+useTempDataDir("pins");
+
+const { canonicalJson, contentHash } = await import("../pins.js");
+
+// A pinned profile in the shape the index hashes, with its canonical text and
+// that text's sha256 (computed outside Node: printf '%s' <text> | sha256sum)
+const FIXTURE = {
+  verified: true,
+  skills: ["React", "Solidity"],
+  reviews: 1e21,
+  rating: 4.9,
+  profileUrl: "https://www.fiverr.com/sample_seller",
+  gigs: [
+    { title: "Logo", cid: null },
+    { title: "Site", cid: "bafy" },
+  ],
+};
+const FIXTURE_CANONICAL =
+  '{"gigs":[{"cid":null,"title":"Logo"},{"cid":"bafy","title":"Site"}],"profileUrl":"https://www.fiverr.com/sample_seller","rating":4.9,"reviews":1e+21,"skills":["React","Solidity"],"verified":true}';
+const FIXTURE_HASH = "db2160196d3662b50a607ce263540fae95c5c1ae0c3b459e838380d2123eb4b2";
+
+test("matches the known canonical text and hash", () => {
+  assert.equal(canonicalJson(FIXTURE), FIXTURE_CANONICAL);
+  assert.equal(contentHash(FIXTURE), FIXTURE_HASH);
+});
+
+test("the same data hashes the same whatever its key order, at any depth", () => {
+  const reordered = {
+    gigs: [
+      { cid: null, title: "Logo" },
+      { cid: "bafy", title: "Site" },
+    ],
+    rating: 4.9,
+    profileUrl: "https://www.fiverr.com/sample_seller",
+    verified: true,
+    reviews: 1e21,
+    skills: ["React", "Solidity"],
+  };
+  assert.equal(contentHash(reordered), FIXTURE_HASH);
+  assert.equal(contentHash(JSON.parse(JSON.stringify(FIXTURE))), FIXTURE_HASH, "a JSON round trip changes nothing");
+
+  const deep = (inner) => ({ a: { b: { c: [{ d: inner }] } } });
+  assert.equal(contentHash(deep({ x: 1, y: 2 })), contentHash(deep({ y: 2, x: 1 })));
+});
+
+test("different data hashes differently", () => {
+  assert.notEqual(contentHash({ ...FIXTURE, skills: ["Solidity", "React"] }), FIXTURE_HASH, "array order is data");
+  assert.notEqual(contentHash({ ...FIXTURE, rating: "4.9" }), FIXTURE_HASH);
+  assert.notEqual(contentHash({ a: { b: 1 } }), contentHash({ a: { c: 1 } }));
+  assert.notEqual(contentHash({ a: [] }), contentHash({ a: {} }));
+});
+
+test("sorts keys by UTF-16 code units and drops what JSON drops", () => {
+  assert.equal(canonicalJson({ "￿": 1, "😀": 2, é: 3, z: 4, Z: 5 }), '{"Z":5,"z":4,"é":3,"😀":2,"￿":1}');
+  assert.equal(canonicalJson({ a: undefined, b: () => {}, c: [undefined, () => {}] }), '{"c":[null,null]}');
+  assert.equal(canonicalJson({ at: new Date("2024-01-02T03:04:05.000Z") }), '{"at":"2024-01-02T03:04:05.000Z"}');
+  assert.equal(canonicalJson(["line\nbreak", -0, 0.1]), '["line\\nbreak",0,0.1]');
+});
+
+test("refuses values JSON cannot carry", () => {
+  assert.throws(() => canonicalJson({ n: NaN }), TypeError);
+  assert.throws(() => canonicalJson({ n: Infinity }), TypeError);
+  assert.throws(() => canonicalJson({ n: 1n }), TypeError);
+});
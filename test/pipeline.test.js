@@ -0,0 +1,227 @@
+import fs from "fs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { Wallet } from "ethers";
+import { startChain, deployRegistry, connectRegistry, useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+import { createPinataMock } from "../pinata-mock.js";
+
+const dataDir = useTempDataDir("pipeline");
+
+// Pin to a local Pinata stand-in (see pinata-mock.js)
+const pinata = createPinataMock().listen(0);
+await new Promise((resolve) => pinata.once("listening", resolve));
+const pinataUrl = `http://127.0.0.1:${pinata.address().port}`;
+Object.assign(process.env, {
+  STORAGE_PROVIDER: "pinata",
+  PINATA_API_KEY: "test",
+  PINATA_SECRET_API_KEY: "test",
+  PINATA_API_URL: pinataUrl,
+  PINATA_GATEWAY_URL: pinataUrl,
+  SIWE_DOMAIN: "localhost",
+  ISSUER_PRIVATE_KEY: DEV_KEYS[2],
+  TX_POLL_MS: "100",
+});
+
+const { storeDataOnIPFS } = await import("../ipfs.js");
+const { createTransactionManager } = await import("../transactions.js");
+const { createPipelineRouter } = await import("../pipeline.js");
+const { issueNonce, signIn } = await import("../siwe.js");
+const { createChallenge, normalizeAccount } = await import("../ownership.js");
+const { issueOwnershipCredential } = await import("../credentials.js");
+const { openStore } = await import("../store.js");
+
+const golden = JSON.parse(fs.readFileSync(new URL("../fixtures/upwork/sample_freelancer.golden.json", import.meta.url), "utf8"));
+
+let chain;
+let contract;
+let transactions;
+let server;
+let baseUrl;
+
+// Scrapes made, pins to fail before pinning works again, and whether the
+// process "stops" right after the next registration is sent
+let scrapes = 0;
+let failPins = 0;
+let stopAfterSubmit = false;
+
+async function scrape(profileUrl) {
+  scrapes++;
+  return { ...golden, profileUrl };
+}
+
+async function storeData(data, metadataName) {
+  if (failPins > 0) {
+    failPins--;
+    throw new Error("Pinning is down");
+  }
+  return storeDataOnIPFS(data, metadataName);
+}
+
+// A signed-in wallet with an ownership proof for an Upwork profile
+async function freelancer(n) {
+  const wallet = Wallet.createRandom();
+  const profileUrl = `https://www.upwork.com/freelancers/~01pipeline${n}`;
+
+  const { nonce } = issueNonce();
+  const message = [
+    "localhost wants you to sign in with your Ethereum account:",
+    wallet.address,
+    "",
+    "Sign in to Freelancing ID",
+    "",
+    "URI: http://localhost",
+    "Version: 1",
+    "Chain ID: 31337",
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join("\n");
+  const { token } = signIn(message, await wallet.signMessage(message));
+
+  // What verifying a challenge leaves behind, without reading Upwork
+  const challenge = createChallenge(wallet.address, "upwork", normalizeAccount("upwork", profileUrl));
+  const verifiedAt = new Date().toISOString();
+  const proof = issueOwnershipCredential({ ...challenge, method: "profile-text", evidenceUrl: profileUrl, verifiedAt });
+  openStore("ownershipChallenges").update(challenge.id, { verifiedAt, proofId: proof.id });
+
+  return { wallet: wallet.address, profileUrl, headers: { authorization: `Bearer ${token}`, "content-type": "application/json" } };
+}
+
+function post(user, body) {
+  return fetch(`${baseUrl}/scrape`, { method: "POST", headers: user.headers, body: JSON.stringify(body) });
+}
+
+// The pipeline's server-sent events until the stream ends
+async function events(user, eventsUrl) {
+  const res = await fetch(`${baseUrl}${eventsUrl}`, { headers: user.headers });
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  const text = await res.text();
+  return text
+    .split("\n\n")
+    .filter((event) => event.startsWith("data: "))
+    .map((event) => JSON.parse(event.slice("data: ".length)));
+}
+
+before(async () => {
+  chain = await startChain();
+  contract = connectRegistry(chain, await deployRegistry(chain), DEV_KEYS[1]);
+  transactions = createTransactionManager(contract);
+  await transactions.start();
+
+  const app = express();
+  app.use(express.json());
+  const queue = {
+    ...transactions,
+    async submit(...args) {
+      const tx = await transactions.submit(...args);
+      if (stopAfterSubmit) {
+        stopAfterSubmit = false;
+        throw new Error("Process stopped");
+      }
+      return tx;
+    },
+  };
+  app.use(createPipelineRouter({ scrape, storeData, contract, transactions: queue }));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  transactions?.stop();
+  server?.close();
+  pinata.close();
+  chain?.stop();
+});
+
+test("refuses to register without a name or date of birth", async () => {
+  const user = await freelancer(1);
+  const res = await post(user, { profileUrl: user.profileUrl, name: "Ada Registrant" });
+  assert.equal(res.status, 400);
+  assert.equal(scrapes, 0);
+});
+
+test("scrapes, pins and registers in the background", async () => {
+  const user = await freelancer(2);
+  const res = await post(user, { profileUrl: user.profileUrl, name: "Ada Registrant", dateOfBirth: "1990-01-01" });
+  assert.equal(res.status, 202);
+  const { jobId, statusUrl, eventsUrl, openings } = await res.json();
+  assert.equal(openings.name.value, "Ada Registrant");
+
+  const states = await events(user, eventsUrl);
+  const last = states.at(-1);
+  assert.equal(last.id, jobId);
+  assert.equal(last.state, "done");
+  assert.ok(states.some((pipeline) => pipeline.step === "submitted"));
+
+  const { pipeline } = await (await fetch(`${baseUrl}${statusUrl}`, { headers: user.headers })).json();
+  const pinned = await (await fetch(`${pinataUrl}/ipfs/${pipeline.cid}`)).json();
+  assert.equal(pinned.profileUrl, user.profileUrl);
+
+  const did = await contract.userToDID(user.wallet);
+  assert.equal(did, `did:ethr:${user.wallet}`);
+  const record = await contract.didRecords(did);
+  assert.equal(record.additional, `ipfs://${pipeline.cid}`);
+  assert.equal(record.upwork, user.profileUrl);
+  assert.notEqual(record.name, "Ada Registrant", "the name goes on-chain as a commitment");
+  assert.equal(pipeline.registration.blockNumber, (await transactions.get(pipeline.registration.txId)).receipt.blockNumber);
+});
+
+test("resumes from the step that failed", async () => {
+  const user = await freelancer(3);
+  const body = { profileUrl: user.profileUrl, name: "Ada Registrant", dateOfBirth: "1990-01-01" };
+
+  failPins = 1;
+  const first = await (await post(user, body)).json();
+  const failed = (await events(user, first.eventsUrl)).at(-1);
+  assert.equal(failed.state, "failed");
+  assert.equal(failed.failedStep, "pinned");
+
+  const scrapesBefore = scrapes;
+  const second = await (await post(user, body)).json();
+  assert.equal(second.jobId, first.jobId);
+  assert.equal((await events(user, second.eventsUrl)).at(-1).state, "done");
+  assert.equal(scrapes, scrapesBefore, "the scraped profile is reused");
+  assert.ok(await contract.userToDID(user.wallet));
+});
+
+test("only shows a pipeline to its wallet", async () => {
+  const owner = await freelancer(4);
+  const other = await freelancer(5);
+  const { statusUrl } = await (await post(owner, { profileUrl: owner.profileUrl, name: "Ada Registrant", dateOfBirth: "1990-01-01" })).json();
+
+  assert.equal((await fetch(`${baseUrl}${statusUrl}`, { headers: other.headers })).status, 404);
+  assert.equal((await fetch(`${baseUrl}${statusUrl}`, { headers: owner.headers })).status, 200);
+  await events(owner, `${statusUrl}/events`);
+});
+
+test("does not register twice when the process stops before the sent registration is saved", async () => {
+  const user = await freelancer(6);
+  const body = { profileUrl: user.profileUrl, name: "Ada Registrant", dateOfBirth: "1990-01-01" };
+
+  stopAfterSubmit = true;
+  const first = await (await post(user, body)).json();
+  const stopped = (await events(user, first.eventsUrl)).at(-1);
+  assert.equal(stopped.state, "failed");
+  assert.equal(stopped.failedStep, "submitted");
+
+  const second = await (await post(user, body)).json();
+  assert.equal(second.jobId, first.jobId);
+  assert.equal(second.openings, null, "the sent registration keeps the first openings");
+  const done = (await events(user, second.eventsUrl)).at(-1);
+  assert.equal(done.state, "done");
+
+  const sent = openStore("transactions")
+    .values()
+    .filter((tx) => tx.method === "registerDID" && tx.wallet === user.wallet);
+  assert.equal(sent.length, 1);
+  const record = await contract.didRecords(await contract.userToDID(user.wallet));
+  assert.equal(record.additional, `ipfs://${done.cid}`);
+});
+
+test("keeps no name, date of birth or openings on disk", async () => {
+  const saved = fs.readFileSync(`${dataDir}/pipelines.json`, "utf8");
+  assert.ok(!saved.includes("Ada Registrant"));
+  assert.ok(!saved.includes("1990-01-01"));
+  assert.ok(!saved.includes("salt"));
+});
@@ -0,0 +1,144 @@
+import fs from "fs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { SigningKey } from "ethers";
+import { useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+
+useTempDataDir("privacy");
+delete process.env.PII_FIELDS;
+delete process.env.REGISTER_PLAINTEXT_PII;
+
+const {
+  commitField,
+  verifyCommitment,
+  commitRegistrationFields,
+  encryptForWallets,
+  decryptForWallet,
+  protectProfile,
+  createDisclosure,
+  openDisclosure,
+  createPrivacyRouter,
+} = await import("../privacy.js");
+const { validateProfile } = await import("../profile.js");
+
+const golden = JSON.parse(fs.readFileSync(new URL("../fixtures/fiverr/sample_seller.golden.json", import.meta.url), "utf8"));
+
+const owner = new SigningKey(DEV_KEYS[0]);
+const verifier = new SigningKey(DEV_KEYS[1]);
+const stranger = new SigningKey(DEV_KEYS[2]);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(createPrivacyRouter());
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+test("a commitment opens only with its field, value and salt", () => {
+  const { commitment, salt } = commitField("username", "sample_seller");
+  assert.equal(verifyCommitment("username", { value: "sample_seller", salt }, commitment), true);
+  assert.equal(verifyCommitment("username", { value: "someone_else", salt }, commitment), false);
+  assert.equal(verifyCommitment("publicName", { value: "sample_seller", salt }, commitment), false);
+  assert.equal(verifyCommitment("username", { value: "sample_seller", salt: `${salt.slice(1)}0` }, commitment), false);
+  assert.notEqual(commitField("username", "sample_seller").commitment, commitment, "every commitment gets a fresh salt");
+});
+
+test("registration commitments open with the openings returned next to them", () => {
+  const { onChain, commitments, openings } = commitRegistrationFields({ name: "Ada Registrant", dateOfBirth: "1990-01-01" });
+  assert.deepEqual(onChain, commitments);
+  assert.equal(verifyCommitment("name", openings.name, commitments.name), true);
+  assert.equal(verifyCommitment("dateOfBirth", openings.dateOfBirth, commitments.dateOfBirth), true);
+  assert.throws(() => commitRegistrationFields({ name: "Ada Registrant" }), /Missing dateOfBirth/);
+});
+
+test("an envelope opens for each recipient and no one else", () => {
+  const data = { username: { value: "sample_seller", salt: "00" } };
+  const envelope = encryptForWallets(data, [owner.publicKey, verifier.compressedPublicKey]);
+
+  assert.deepEqual(decryptForWallet(envelope, owner.privateKey), data);
+  assert.deepEqual(decryptForWallet(envelope, verifier.privateKey), data);
+  assert.throws(() => decryptForWallet(envelope, stranger.privateKey), /not encrypted for/);
+
+  const ciphertext = Buffer.from(envelope.ciphertext, "base64");
+  ciphertext[0] ^= 1;
+  assert.throws(() => decryptForWallet({ ...envelope, ciphertext: ciphertext.toString("base64") }, owner.privateKey));
+});
+
+test("a protected profile carries no PII, still validates and opens for its owner", () => {
+  const protectedProfile = protectProfile(golden, { publicKeys: [owner.publicKey] });
+  assert.equal(protectedProfile.username, null);
+  assert.equal(protectedProfile.publicName, null);
+  assert.equal(validateProfile(protectedProfile).valid, true);
+
+  // Nor anywhere else in the document: URLs and text use one stand-in
+  const pinned = JSON.stringify(protectedProfile).toLowerCase();
+  assert.equal(pinned.includes("sample_seller"), false);
+  assert.equal(pinned.includes("sample seller"), false);
+  const standIn = new URL(protectedProfile.profileUrl).pathname.slice(1);
+  assert.match(standIn, /^username-[0-9a-f]{12}$/);
+  for (const gig of protectedProfile.gigs.filter((gig) => gig.link)) {
+    assert.equal(new URL(gig.link).pathname.split("/")[1], standIn);
+  }
+
+  const openings = decryptForWallet(protectedProfile.privacy.encrypted, owner.privateKey);
+  assert.deepEqual(Object.keys(openings).sort(), ["publicName", "username"]);
+  assert.equal(openings.username.value, "sample_seller");
+  for (const [field, opening] of Object.entries(openings)) {
+    assert.equal(verifyCommitment(field, opening, protectedProfile.privacy.commitments[field]), true);
+  }
+});
+
+test("a disclosure opens for its verifier against the pinned commitments", () => {
+  const protectedProfile = protectProfile(golden, { publicKeys: [owner.publicKey] });
+  const { commitments } = protectedProfile.privacy;
+  const { username } = decryptForWallet(protectedProfile.privacy.encrypted, owner.privateKey);
+
+  const disclosure = createDisclosure({ wallet: "0x0", openings: { username }, commitments, verifierPublicKey: verifier.publicKey });
+  assert.deepEqual(openDisclosure(disclosure, verifier.privateKey), { valid: true, fields: { username: { value: "sample_seller", valid: true } } });
+
+  // Checked against commitments the verifier trusts, not the ones it was sent
+  const other = commitField("username", "sample_seller").commitment;
+  assert.equal(openDisclosure(disclosure, verifier.privateKey, { username: other }).valid, false);
+  assert.throws(() => openDisclosure(disclosure, stranger.privateKey), /not encrypted for/);
+
+  assert.throws(
+    () => createDisclosure({ wallet: "0x0", openings: { username: { ...username, value: "impostor" } }, commitments, verifierPublicKey: verifier.publicKey }),
+    /does not match its commitment/
+  );
+});
+
+test("POST /privacy/verify checks openings and refuses malformed ones", async () => {
+  const { commitment, salt } = commitField("username", "sample_seller");
+  const verify = (body) =>
+    fetch(`${baseUrl}/privacy/verify`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(5000),
+    });
+
+  const ok = await verify({ openings: { username: { value: "sample_seller", salt } }, commitments: { username: commitment } });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { success: true, valid: true, fields: { username: true } });
+
+  const wrong = await verify({ openings: { username: { value: "impostor", salt } }, commitments: { username: commitment } });
+  assert.equal((await wrong.json()).valid, false);
+
+  for (const body of [
+    { openings: { username: null }, commitments: { username: commitment } },
+    { openings: { username: { value: 1, salt } }, commitments: { username: commitment } },
+    { openings: { username: { value: "sample_seller" } }, commitments: { username: commitment } },
+    { openings: { username: { value: "sample_seller", salt } }, commitments: {} },
+    { openings: {}, commitments: {} },
+  ]) {
+    assert.equal((await verify(body)).status, 400, JSON.stringify(body));
+  }
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+
+useTempDataDir("resolver");
+process.env.ISSUER_PRIVATE_KEY = DEV_KEYS[2];
+process.env.PUBLIC_URL = "http://localhost:5000";
+delete process.env.DID_CHAIN_ID;
+
+const { buildDidDocument, createDidResolverRouter } = await import("../resolver.js");
+
+// A registry whose node fails the first `failures` network lookups
+let failures = 0;
+const contract = {
+  runner: {
+    provider: {
+      async getNetwork() {
+        if (failures > 0) {
+          failures--;
+          throw new Error("connect ECONNREFUSED");
+        }
+        return { chainId: 31337n };
+      },
+    },
+  },
+};
+
+let server;
+let baseUrl;
+
+// A handler that never answers fails the test instead of hanging it
+const get = (path) => fetch(`${baseUrl}${path}`, { signal: AbortSignal.timeout(5000) });
+
+before(async () => {
+  const app = express();
+  app.use(createDidResolverRouter({ contract }));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+test("leaves out a linked account that does not parse", () => {
+  const document = buildDidDocument(
+    {
+      did: "did:test:alice",
+      userWallet: "0x1000000000000000000000000000000000000001",
+      github: "http://",
+      fiverr: "https://www.fiverr.com/Alice",
+      upwork: "",
+      additional: "",
+    },
+    { chainId: 31337 }
+  );
+  assert.deepEqual(document.service.map((service) => service.id), ["did:test:alice#fiverr"]);
+});
+
+test("the service document recovers once the node is reachable again", async () => {
+  failures = 1;
+  const failed = await get("/.well-known/did.json");
+  assert.equal(failed.status, 500);
+
+  const res = await get("/.well-known/did.json");
+  assert.equal(res.status, 200);
+  const document = await res.json();
+  assert.match(document.verificationMethod[0].blockchainAccountId, /^eip155:31337:/);
+});
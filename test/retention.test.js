@@ -0,0 +1,140 @@
+import fs from "fs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { Wallet } from "ethers";
+import { useTempDataDir } from "./helpers/chain.js";
+import { createPinataMock } from "../pinata-mock.js";
+
+useTempDataDir("retention");
+
+// Pin to a local Pinata stand-in (see pinata-mock.js)
+const pinata = createPinataMock().listen(0);
+await new Promise((resolve) => pinata.once("listening", resolve));
+const pinataUrl = `http://127.0.0.1:${pinata.address().port}`;
+Object.assign(process.env, {
+  STORAGE_PROVIDER: "pinata",
+  PINATA_API_KEY: "test",
+  PINATA_SECRET_API_KEY: "test",
+  PINATA_API_URL: pinataUrl,
+  PINATA_GATEWAY_URL: pinataUrl,
+  ADMIN_API_KEY: "test-admin-key",
+});
+
+const { createAdminRouter } = await import("../admin.js");
+const { storeDataOnIPFS, storeFileOnIPFS } = await import("../ipfs.js");
+const { recordVersion, historyForWallet } = await import("../history.js");
+
+const readGolden = (path) => JSON.parse(fs.readFileSync(new URL(`../fixtures/${path}`, import.meta.url), "utf8"));
+const profileGolden = readGolden("fiverr/sample_seller.golden.json");
+const gigGolden = readGolden("fiverr-gig/build-a-responsive-react-web-app.golden.json");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(createAdminRouter());
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+  pinata.close();
+});
+
+function retention(body, key = "test-admin-key") {
+  return fetch(`${baseUrl}/admin/pins/retention`, {
+    method: "POST",
+    headers: { "x-admin-key": key, "content-type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(5000),
+  });
+}
+
+// CIDs held by the Pinata stand-in
+async function pinnedCids() {
+  const res = await fetch(`${pinataUrl}/data/pinList?pageLimit=1000`, { headers: { pinata_api_key: "test", pinata_secret_api_key: "test" } });
+  return new Set((await res.json()).rows.map((row) => row.ipfs_pin_hash));
+}
+
+// Pin `count` versions of a Fiverr profile for `wallet`, as scrape jobs would:
+// every version shows the same pinned image, and each has a gig document of
+// its own. Returns the versions' { cid, gigCid, image }, oldest first.
+async function pinVersions(wallet, username, count) {
+  const image = `ipfs://${await storeFileOnIPFS(new TextEncoder().encode(`portrait of ${username}`), "Image")}`;
+  const versions = [];
+
+  for (let n = 1; n <= count; n++) {
+    const gigCid = await storeDataOnIPFS({ ...gigGolden, title: `${gigGolden.title} (${username} v${n})` }, "Gig");
+    const profile = {
+      ...profileGolden,
+      profileUrl: `https://www.fiverr.com/${username}`,
+      username,
+      reviewsCount: n,
+      projects: profileGolden.projects.map((project) => ({ ...project, image })),
+      gigs: [{ ...profileGolden.gigs[0], cid: gigCid }],
+    };
+    const cid = await storeDataOnIPFS(profile, "FiverrProfileData");
+    recordVersion(profile, cid, { wallet });
+    versions.push({ cid, gigCid, image: image.slice("ipfs://".length) });
+  }
+  return versions;
+}
+
+test("needs the admin key and a sensible keep", async () => {
+  assert.equal((await retention({}, "wrong-key")).status, 401);
+  assert.equal((await retention({ keep: 0 })).status, 400);
+  assert.equal((await retention({ wallet: "0x123" })).status, 400);
+});
+
+test("a dry run lists what would be unpinned and leaves everything pinned", async () => {
+  const wallet = Wallet.createRandom().address;
+  const versions = await pinVersions(wallet, "dry_run_seller", 3);
+  const before = await pinnedCids();
+
+  const res = await retention({ keep: 1, wallet });
+  assert.equal(res.status, 200);
+  const plan = await res.json();
+  assert.equal(plan.dryRun, true);
+
+  const expected = versions.slice(0, 2).flatMap(({ cid, gigCid }) => [cid, gigCid]);
+  assert.deepEqual(plan.remove.map((item) => item.cid).sort(), expected.sort());
+  assert.ok(!plan.remove.some((item) => item.cid === versions[0].image), "the image is still shown by the kept version");
+
+  assert.deepEqual(await pinnedCids(), before);
+  assert.ok(historyForWallet(wallet)[0].versions.every((version) => !version.unpinnedAt));
+});
+
+test("applying the policy unpins the same items, only for the wallet asked about", async () => {
+  const wallet = Wallet.createRandom().address;
+  const other = Wallet.createRandom().address;
+  const versions = await pinVersions(wallet, "applied_seller", 3);
+  const otherVersions = await pinVersions(other, "untouched_seller", 3);
+
+  const dryRun = await (await retention({ keep: 2, wallet })).json();
+  const res = await retention({ keep: 2, wallet, dryRun: false });
+  assert.equal(res.status, 200);
+  const report = await res.json();
+  assert.equal(report.success, true);
+  assert.equal(report.dryRun, false);
+  assert.deepEqual(report.remove.map((item) => item.cid), dryRun.remove.map((item) => item.cid));
+  assert.deepEqual(report.remove.map((item) => item.cid).sort(), [versions[0].cid, versions[0].gigCid].sort());
+  assert.ok(report.remove.every((item) => item.unpinned && item.removedFrom.includes("pinata")));
+
+  const pinned = await pinnedCids();
+  assert.equal(pinned.has(versions[0].cid), false);
+  assert.equal(pinned.has(versions[0].gigCid), false);
+  for (const { cid, gigCid, image } of [...versions.slice(1), ...otherVersions]) {
+    assert.ok(pinned.has(cid) && pinned.has(gigCid) && pinned.has(image));
+  }
+
+  const [entry] = historyForWallet(wallet);
+  assert.deepEqual(entry.versions.map((version) => Boolean(version.unpinnedAt)), [true, false, false]);
+
+  // Nothing left to do at the same setting
+  assert.deepEqual((await (await retention({ keep: 2, wallet })).json()).remove, []);
+});
@@ -0,0 +1,125 @@
+import fs from "fs";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256 } from "multiformats/hashes/sha2";
+import { useTempDataDir } from "./helpers/chain.js";
+
+useTempDataDir("retrieval");
+
+// Three local gateways: one that is down, one that answers every CID with
+// the same other document, and one that serves what is in `published`
+const published = new Map(); // { cid: bytes }
+const requests = { down: 0, liar: 0, good: 0 };
+const forged = new TextEncoder().encode(JSON.stringify({ forged: true }));
+
+const gateways = express();
+gateways.get("/:gateway/ipfs/:cid", (req, res) => {
+  const { gateway, cid } = req.params;
+  requests[gateway]++;
+  if (gateway === "down") return res.status(503).send("Service Unavailable");
+  if (gateway === "liar") return res.send(Buffer.from(forged));
+  if (!published.has(cid)) return res.status(404).send("Not Found");
+  return res.send(Buffer.from(published.get(cid)));
+});
+const server = gateways.listen(0);
+await new Promise((resolve) => server.once("listening", resolve));
+const gatewayUrl = (name) => `http://127.0.0.1:${server.address().port}/${name}`;
+
+Object.assign(process.env, {
+  IPFS_GATEWAYS: ["down", "liar", "good"].map(gatewayUrl).join(","),
+  STORAGE_PROVIDER: "memory",
+});
+
+const { fetchVerified, retrieveDocument, createRetrievalRouter } = await import("../retrieval.js");
+const { storeDataOnIPFS } = await import("../ipfs.js");
+const { cidForBytes } = await import("../storage.js");
+
+const golden = JSON.parse(fs.readFileSync(new URL("../fixtures/upwork/sample_freelancer.golden.json", import.meta.url), "utf8"));
+const encode = (document) => new TextEncoder().encode(JSON.stringify(document));
+
+let router;
+let routerUrl;
+
+before(async () => {
+  const app = express();
+  app.use(createRetrievalRouter());
+  router = app.listen(0);
+  await new Promise((resolve) => router.once("listening", resolve));
+  routerUrl = `http://127.0.0.1:${router.address().port}`;
+});
+
+after(() => {
+  router?.close();
+  server.close();
+});
+
+function resetRequests() {
+  for (const gateway of Object.keys(requests)) requests[gateway] = 0;
+}
+
+test("skips a gateway that is down or serves other content", async () => {
+  const bytes = encode({ ...golden, profileUrl: "https://www.upwork.com/freelancers/~01retrieval1" });
+  const cid = await cidForBytes(bytes);
+  published.set(cid, bytes);
+  resetRequests();
+
+  const result = await fetchVerified(cid);
+  assert.equal(result.source, gatewayUrl("good"));
+  assert.deepEqual(result.bytes, bytes);
+  assert.deepEqual(requests, { down: 1, liar: 1, good: 1 });
+});
+
+test("checks raw-block CIDs too", async () => {
+  const bytes = encode({ note: "a raw block" });
+  const cid = CID.create(1, raw.code, await sha256.digest(bytes)).toString();
+  published.set(cid, bytes);
+
+  assert.equal((await fetchVerified(cid)).source, gatewayUrl("good"));
+});
+
+test("falls back to the storage providers when no gateway has the content", async () => {
+  const cid = await storeDataOnIPFS({ ...golden, profileUrl: "https://www.upwork.com/freelancers/~01retrieval2" });
+  assert.equal(published.has(cid), false);
+
+  const result = await retrieveDocument(cid);
+  assert.equal(result.source, "storage");
+  assert.equal(result.type, "profile");
+  assert.equal(result.valid, true);
+  assert.equal(result.document.profileUrl, "https://www.upwork.com/freelancers/~01retrieval2");
+});
+
+test("refuses content that matches the CID nowhere, with the reason per source", async () => {
+  const cid = await cidForBytes(encode({ never: "published" }));
+
+  await assert.rejects(fetchVerified(cid), (error) => {
+    assert.deepEqual(
+      error.failures.map((failure) => failure.source),
+      [gatewayUrl("down"), gatewayUrl("liar"), gatewayUrl("good"), "storage"]
+    );
+    assert.equal(error.failures[1].error, "content does not match the CID");
+    return true;
+  });
+
+  const res = await fetch(`${routerUrl}/api/ipfs/${cid}`, { signal: AbortSignal.timeout(5000) });
+  assert.equal(res.status, 502);
+});
+
+test("serves a verified document from the cache afterwards", async () => {
+  const bytes = encode({ ...golden, profileUrl: "https://www.upwork.com/freelancers/~01retrieval3" });
+  const cid = await cidForBytes(bytes);
+  published.set(cid, bytes);
+
+  assert.equal((await retrieveDocument(cid)).cached, false);
+  resetRequests();
+  const again = await retrieveDocument(cid);
+  assert.equal(again.cached, true);
+  assert.deepEqual(requests, { down: 0, liar: 0, good: 0 });
+});
+
+test("the route refuses a malformed CID", async () => {
+  const res = await fetch(`${routerUrl}/api/ipfs/not-a-cid`, { signal: AbortSignal.timeout(5000) });
+  assert.equal(res.status, 400);
+});
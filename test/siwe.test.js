@@ -0,0 +1,126 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { Wallet } from "ethers";
+import { useTempDataDir } from "./helpers/chain.js";
+
+useTempDataDir("siwe");
+process.env.SIWE_DOMAIN = "localhost";
+process.env.SIWE_CHAIN_ID = "31337";
+process.env.SIWE_MAX_NONCES_PER_CLIENT = "3";
+
+const { issueNonce, signIn, createSiweRouter, requireSession } = await import("../siwe.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(createSiweRouter());
+  app.get("/me", requireSession, (req, res) => res.json({ wallet: req.auth.wallet }));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+function siweMessage(address, nonce, { domain = "localhost", chainId = 31337, expirationTime = null } = {}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to Freelancing ID",
+    "",
+    `URI: http://${domain}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+    ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : []),
+  ].join("\n");
+}
+
+async function signed(wallet, options) {
+  const message = siweMessage(wallet.address, issueNonce({ client: wallet.address }).nonce, options);
+  return { message, signature: await wallet.signMessage(message) };
+}
+
+test("opens a session that the routes accept", async () => {
+  const wallet = Wallet.createRandom();
+  const { message, signature } = await signed(wallet);
+  const { token } = signIn(message, signature);
+
+  const res = await fetch(`${baseUrl}/me`, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).wallet, wallet.address);
+
+  assert.equal((await fetch(`${baseUrl}/me`, { headers: { authorization: "Bearer not-a-session" } })).status, 401);
+});
+
+test("spends a nonce on its first sign-in", async () => {
+  const wallet = Wallet.createRandom();
+  const { message, signature } = await signed(wallet);
+  signIn(message, signature);
+  assert.throws(() => signIn(message, signature), /already used nonce/);
+});
+
+test("refuses a nonce this server never issued", async () => {
+  const wallet = Wallet.createRandom();
+  const message = siweMessage(wallet.address, "0123456789abcdef");
+  assert.throws(() => signIn(message, wallet.signMessageSync(message)), /Unknown, expired or already used nonce/);
+});
+
+test("refuses an expired nonce", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const wallet = Wallet.createRandom();
+  const { message, signature } = await signed(wallet);
+
+  t.mock.timers.tick(10 * 60 * 1000);
+  assert.throws(() => signIn(message, signature), /Unknown, expired or already used nonce/);
+});
+
+test("refuses an expired message", async () => {
+  const wallet = Wallet.createRandom();
+  const { message, signature } = await signed(wallet, { expirationTime: new Date(Date.now() - 1000).toISOString() });
+  assert.throws(() => signIn(message, signature), /expired/);
+});
+
+test("refuses a message for another domain or chain", async () => {
+  const wallet = Wallet.createRandom();
+
+  const phished = await signed(wallet, { domain: "evil.example" });
+  assert.throws(() => signIn(phished.message, phished.signature), /for evil\.example, not localhost/);
+
+  const otherChain = await signed(wallet, { chainId: 1 });
+  assert.throws(() => signIn(otherChain.message, otherChain.signature), /chain 1/);
+});
+
+test("a forged signature neither signs in nor spends the nonce", async () => {
+  const wallet = Wallet.createRandom();
+  const { message, signature } = await signed(wallet);
+
+  const forged = await Wallet.createRandom().signMessage(message);
+  assert.throws(() => signIn(message, forged), /does not match the message's address/);
+  assert.throws(() => signIn(message, "0x1234"), /Invalid signature/);
+
+  assert.equal(signIn(message, signature).wallet, wallet.address);
+});
+
+test("refuses new nonces to a client with too many outstanding, without dropping them", async () => {
+  // The tests above issue their nonces to other clients than this address
+  const nonces = [];
+  for (let i = 0; i < 3; i++) {
+    const res = await fetch(`${baseUrl}/auth/nonce`);
+    assert.equal(res.status, 200);
+    nonces.push((await res.json()).nonce);
+  }
+  assert.equal((await fetch(`${baseUrl}/auth/nonce`)).status, 429);
+
+  // The outstanding ones still sign in, and free a slot when used
+  const wallet = Wallet.createRandom();
+  const message = siweMessage(wallet.address, nonces[0]);
+  signIn(message, await wallet.signMessage(message));
+  assert.equal((await fetch(`${baseUrl}/auth/nonce`)).status, 200);
+});
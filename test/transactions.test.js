@@ -0,0 +1,94 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startChain, deployRegistry, connectRegistry, useTempDataDir, DEV_KEYS } from "./helpers/chain.js";
+
+useTempDataDir("transactions");
+process.env.TX_POLL_MS = "100";
+process.env.TX_REPLACE_AFTER_SECONDS = "1";
+process.env.TX_MAX_REPLACEMENTS = "2";
+process.env.TX_RETRY_DELAY_MS = "10";
+
+const { createTransactionManager } = await import("../transactions.js");
+
+let chain;
+let contract;
+let manager;
+
+// registerDID arguments for a made-up wallet
+function registration(n) {
+  const wallet = `0x${String(n + 1).padStart(40, "0")}`;
+  return [wallet, `did:test:${n}`, "hash", 1700000000, "", "", "", "", "", ""];
+}
+
+// Resolves once `check()` holds, polling like the queue does
+async function until(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+before(async () => {
+  chain = await startChain();
+  // Deployed from another account, so the queue's signer starts at nonce 0
+  const address = await deployRegistry(chain, DEV_KEYS[0]);
+  contract = connectRegistry(chain, address, DEV_KEYS[1]);
+  manager = createTransactionManager(contract);
+  await manager.start();
+});
+
+after(async () => {
+  manager?.stop();
+  await chain?.send("evm_setAutomine", [true]);
+  chain?.stop();
+});
+
+test("sends concurrent submissions under consecutive nonces", async () => {
+  const sent = await Promise.all([0, 1, 2].map((n) => manager.submit("registerDID", registration(n))));
+  assert.deepEqual(sent.map((tx) => tx.status), ["pending", "pending", "pending"]);
+  assert.deepEqual(sent.map((tx) => tx.nonce).sort(), [0, 1, 2]);
+
+  const mined = await Promise.all(sent.map((tx) => manager.wait(tx.id)));
+  assert.deepEqual(mined.map((tx) => tx.status), ["mined", "mined", "mined"]);
+  for (const n of [0, 1, 2]) {
+    assert.equal(await contract.userToDID(registration(n)[0]), `did:test:${n}`);
+  }
+});
+
+test("replaces an unmined transaction with higher fees", async () => {
+  await chain.send("evm_setAutomine", [false]);
+  const { id } = await manager.submit("registerDID", registration(3));
+
+  // wait() gives up at its deadline and returns the transaction as it is
+  const waiting = await manager.wait(id, { timeoutMs: 200 });
+  assert.equal(waiting.status, "pending");
+
+  await until(() => manager.get(id).attempts.length >= 2);
+  const [first, second] = manager.get(id).attempts;
+  assert.equal(manager.get(id).nonce, 3);
+  assert.ok(BigInt(second.fees.maxFeePerGas) * 100n >= BigInt(first.fees.maxFeePerGas) * 120n);
+  assert.ok(BigInt(second.fees.maxPriorityFeePerGas) * 100n >= BigInt(first.fees.maxPriorityFeePerGas) * 120n);
+
+  await chain.send("evm_mine");
+  const mined = await manager.wait(id);
+  assert.equal(mined.status, "mined");
+  assert.equal(mined.receipt.transactionHash, mined.hash);
+  assert.notEqual(mined.hash, mined.attempts[0].hash, "the replacement is what got mined");
+  assert.equal(await contract.userToDID(registration(3)[0]), "did:test:3");
+});
+
+test("marks a transaction stuck after the last replacement, and still picks it up when mined", async () => {
+  await chain.send("evm_setAutomine", [false]);
+  const { id } = await manager.submit("registerDID", registration(4));
+
+  const stuck = await manager.wait(id);
+  assert.equal(stuck.status, "stuck");
+  assert.equal(stuck.attempts.length, 3);
+  assert.match(stuck.error, /fee bumps/);
+
+  await chain.send("evm_mine");
+  await until(() => manager.get(id).status === "mined");
+  assert.equal(manager.get(id).error, null);
+  assert.equal(manager.get(id).receipt.transactionHash, stuck.attempts.at(-1).hash);
+});
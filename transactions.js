@@ -0,0 +1,409 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import express from "express";
+import dotenv from "dotenv";
+import { Transaction } from "ethers";
+import { openStore } from "./store.js";
+
+dotenv.config();
+
+// Transaction queue for the server's signer.
+//
+// Every contract write goes through one queue (data/transactions.json), so
+// concurrent requests get consecutive nonces instead of colliding. A
+// transaction is signed and saved before it is broadcast; after a restart,
+// queued transactions are sent and pending ones re-broadcast and watched
+// again. A transaction still unmined after TX_REPLACE_AFTER_SECONDS is
+// replaced (same nonce, fees bumped by TX_GAS_BUMP_PERCENT); after
+// TX_MAX_REPLACEMENTS it is marked stuck, and still watched in case it is
+// mined. RPC calls that fail on network errors are retried. GET /api/tx/:id
+// shows a transaction as queued, pending, stuck, mined or failed, with its
+// receipt.
+//
+// Run it against a local Hardhat or Anvil node by pointing RPC_URL there
+// (see contract.js); with automining off, transactions stay pending and get
+// replaced. test/transactions.test.js does this.
+
+const POLL_MS = Number(process.env.TX_POLL_MS) || 5000;
+const REPLACE_AFTER_MS = (Number(process.env.TX_REPLACE_AFTER_SECONDS) || 120) * 1000;
+// Nodes reject replacements that do not raise the fees by at least 10%
+const GAS_BUMP_PERCENT = Math.max(Number(process.env.TX_GAS_BUMP_PERCENT) || 20, 10);
+const MAX_REPLACEMENTS = process.env.TX_MAX_REPLACEMENTS !== undefined ? Number(process.env.TX_MAX_REPLACEMENTS) : 5;
+const RPC_RETRIES = process.env.TX_RPC_RETRIES !== undefined ? Number(process.env.TX_RPC_RETRIES) : 3;
+const RETRY_DELAY_MS = Number(process.env.TX_RETRY_DELAY_MS) || 500;
+// How long submit() and wait() wait before returning the transaction as it is
+const WAIT_MS = (Number(process.env.TX_WAIT_SECONDS) || 60) * 1000;
+
+// Statuses wait() returns on (a stuck transaction can still be mined later)
+const SETTLED = ["mined", "failed", "stuck"];
+
+const transactions = openStore("transactions"); // { id: transaction }
+
+// ethers error codes (and socket errors) worth another try
+const TRANSIENT_CODES = ["NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR", "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT"];
+
+function isTransient(error) {
+  return TRANSIENT_CODES.includes(error.code) || TRANSIENT_CODES.includes(error.cause?.code);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run an RPC call, retrying transient failures with exponential backoff
+async function withRetries(call) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      if (!isTransient(error) || attempt >= RPC_RETRIES) throw error;
+      console.warn(`⚠️ RPC call failed (${error.code ?? error.message}), retrying`);
+      await sleep(RETRY_DELAY_MS * 2 ** attempt);
+    }
+  }
+}
+
+// Fees as strings, so they survive the JSON store
+function feesToJson(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]));
+}
+
+function feesFromJson(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, BigInt(value)]));
+}
+
+// `previous` raised by GAS_BUMP_PERCENT, or the network's current fees if
+// those are higher
+function bumpFees(previous, current) {
+  const bump = (value) => (value * BigInt(100 + GAS_BUMP_PERCENT) + 99n) / 100n;
+  const max = (a, b) => (a > b ? a : b);
+  return Object.fromEntries(Object.entries(previous).map(([key, value]) => [key, max(bump(value), current[key] ?? 0n)]));
+}
+
+// What the routes return: the transaction without its signed payloads
+export function publicTransaction(tx) {
+  return { ...tx, attempts: tx.attempts.map(({ raw, ...attempt }) => attempt) };
+}
+
+// Build a queue for the writes of `contract` (see contract.js), signed by
+// the contract's runner. Returns { start, stop, submit, wait, get }.
+export function createTransactionManager(contract) {
+  const signer = contract.runner;
+  const provider = signer.provider;
+  const events = new EventEmitter();
+  let nonceCursor = null; // next nonce to use, null until read from the chain
+  let sending = null;
+  let timer = null;
+  let checking = false;
+
+  const save = (id, changes) => {
+    const tx = transactions.update(id, { ...changes, updatedAt: new Date().toISOString() });
+    events.emit(id, tx);
+    return tx;
+  };
+
+  // Resolves with the transaction once `done(tx)` holds, or as it is after
+  // `timeoutMs`
+  const waitUntil = (id, done, timeoutMs) =>
+    new Promise((resolve) => {
+      const finish = (tx) => {
+        events.off(id, check);
+        clearTimeout(timer);
+        resolve(tx);
+      };
+      const check = (tx) => {
+        if (done(tx)) finish(tx);
+      };
+      const timer = setTimeout(() => finish(transactions.get(id)), timeoutMs);
+      events.on(id, check);
+      check(transactions.get(id));
+    });
+
+  // The signer's next nonce: past the chain's pending count and past
+  // everything this queue has in flight
+  async function nextNonce() {
+    if (nonceCursor === null) {
+      const onChain = await withRetries(() => provider.getTransactionCount(signer.address, "pending"));
+      const inFlight = transactions.values().filter((tx) => tx.nonce !== null && tx.status !== "failed");
+      nonceCursor = Math.max(onChain, ...inFlight.map((tx) => tx.nonce + 1));
+    }
+    return nonceCursor;
+  }
+
+  async function currentFees() {
+    const feeData = await withRetries(() => provider.getFeeData());
+    if (feeData.maxFeePerGas != null && feeData.maxPriorityFeePerGas != null) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  // Sign one attempt at a transaction. Returns { hash, raw, gasLimit, fees, sentAt }.
+  async function signAttempt(tx, { nonce, gasLimit, fees }) {
+    const call = await contract.getFunction(tx.method).populateTransaction(...tx.args);
+    const populated = await withRetries(() =>
+      signer.populateTransaction({ ...call, nonce, gasLimit, ...(fees.gasPrice != null && { type: 0 }), ...fees })
+    );
+    const raw = await signer.signTransaction(populated);
+    return {
+      hash: Transaction.from(raw).hash,
+      raw,
+      gasLimit: populated.gasLimit.toString(),
+      fees: feesToJson(fees),
+      sentAt: new Date().toISOString(),
+    };
+  }
+
+  async function broadcast(raw) {
+    try {
+      await withRetries(() => provider.broadcastTransaction(raw));
+    } catch (error) {
+      // Sent before (e.g. by the run that crashed)
+      if (/already known|known transaction/i.test(error.message)) return;
+      throw error;
+    }
+  }
+
+  function settle(tx, receipt) {
+    const status = receipt.status === 1 ? "mined" : "failed";
+    console.log(`${status === "mined" ? "✅" : "❌"} Transaction ${tx.id} ${status} in block ${receipt.blockNumber}`);
+    return save(tx.id, {
+      status,
+      hash: receipt.hash,
+      error: status === "failed" ? "Transaction reverted" : null,
+      receipt: {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        status: receipt.status,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: (receipt.gasPrice ?? 0n).toString(),
+      },
+    });
+  }
+
+  function fail(tx, error) {
+    console.error(`❌ Transaction ${tx.id} failed:`, error.message);
+    return save(tx.id, { status: "failed", error: error.message });
+  }
+
+  // Sign and broadcast a queued transaction under the next nonce
+  async function send(tx, { resynced = false } = {}) {
+    let attempt;
+    const nonce = await nextNonce();
+    try {
+      attempt = await signAttempt(tx, { nonce, fees: await currentFees() });
+    } catch (error) {
+      // e.g. the call reverts when gas is estimated
+      return fail(tx, error);
+    }
+
+    // Saved before broadcasting, so a crash here is picked up by start()
+    tx = save(tx.id, { nonce, hash: attempt.hash, attempts: [attempt] });
+    try {
+      await broadcast(attempt.raw);
+    } catch (error) {
+      if (!resynced && (error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED")) {
+        // Something other than this queue used the nonce; read it again
+        nonceCursor = null;
+        return send(save(tx.id, { nonce: null, hash: null, attempts: [] }), { resynced: true });
+      }
+      if (isTransient(error)) {
+        // It may have reached the node anyway; keep the nonce and let the
+        // pending check find it or send it again
+        console.warn(`⚠️ Transaction ${tx.id} may not have been sent (${error.code}); will retry`);
+        nonceCursor = nonce + 1;
+        return save(tx.id, { status: "pending" });
+      }
+      save(tx.id, { nonce: null });
+      return fail(tx, error);
+    }
+
+    nonceCursor = nonce + 1;
+    console.log(`📝 Transaction ${tx.id} sent: ${tx.method} ${attempt.hash} (nonce ${nonce})`);
+    return save(tx.id, { status: "pending" });
+  }
+
+  // Send queued transactions one at a time, oldest first
+  function sendQueued() {
+    sending ??= (async () => {
+      let next;
+      while ((next = oldest("queued"))) {
+        try {
+          await send(next);
+        } catch (error) {
+          // Could not even read the nonce; leave it queued for the next round
+          console.error("❌ Transaction queue stalled:", error.message);
+          break;
+        }
+      }
+    })().finally(() => {
+      sending = null;
+    });
+    return sending;
+  }
+
+  function oldest(status) {
+    return transactions
+      .values()
+      .filter((tx) => tx.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+  }
+
+  // Re-send a stuck transaction with the same nonce and higher fees
+  async function replace(tx) {
+    const last = tx.attempts.at(-1);
+    if (tx.attempts.length > MAX_REPLACEMENTS) {
+      console.warn(`⚠️ Transaction ${tx.id} is stuck after ${MAX_REPLACEMENTS} replacements`);
+      save(tx.id, { status: "stuck", error: `Not mined after ${MAX_REPLACEMENTS} fee bumps` });
+      return;
+    }
+
+    const fees = bumpFees(feesFromJson(last.fees), await currentFees());
+    const attempt = await signAttempt(tx, { nonce: tx.nonce, gasLimit: BigInt(last.gasLimit), fees });
+    tx = save(tx.id, { hash: attempt.hash, attempts: [...tx.attempts, attempt] });
+
+    try {
+      await broadcast(attempt.raw);
+      console.warn(`⚠️ Transaction ${tx.id} was stuck; replaced with ${attempt.hash}`);
+    } catch (error) {
+      // NONCE_EXPIRED: an earlier attempt was mined, the next check sees it
+      console.warn(`⚠️ Replacing transaction ${tx.id} failed:`, error.message);
+    }
+  }
+
+  // The receipt of whichever attempt was mined, or null
+  async function findReceipt(tx) {
+    for (const attempt of [...tx.attempts].reverse()) {
+      const receipt = await withRetries(() => provider.getTransactionReceipt(attempt.hash));
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  // Check pending (and stuck) transactions for receipts, and replace the
+  // pending ones that are taking too long
+  async function checkPending() {
+    const pending = transactions
+      .values()
+      .filter((tx) => tx.status === "pending" || tx.status === "stuck")
+      .sort((a, b) => a.nonce - b.nonce);
+    if (pending.length === 0) return;
+
+    const minedNonces = await withRetries(() => provider.getTransactionCount(signer.address, "latest"));
+    for (const tx of pending) {
+      const receipt = await findReceipt(tx);
+      if (receipt) {
+        settle(tx, receipt);
+      } else if (minedNonces > tx.nonce) {
+        fail(tx, new Error(`Nonce ${tx.nonce} was used by another transaction`));
+      } else if (tx.status === "pending" && Date.now() - Date.parse(tx.attempts.at(-1).sentAt) >= REPLACE_AFTER_MS) {
+        await replace(tx);
+      }
+    }
+  }
+
+  async function poll() {
+    if (!checking) {
+      checking = true;
+      try {
+        await checkPending();
+        await sendQueued();
+      } catch (error) {
+        console.error("❌ Transaction check failed:", error.message);
+      } finally {
+        checking = false;
+      }
+    }
+    if (timer) timer = setTimeout(poll, POLL_MS);
+  }
+
+  return {
+    // Pick up where the last run stopped: transactions signed but maybe never
+    // broadcast are sent again, then the queue is polled
+    async start() {
+      if (timer) return;
+      timer = setTimeout(poll, POLL_MS);
+
+      for (const tx of transactions.values()) {
+        const inFlight = tx.status === "pending" || (tx.status === "queued" && tx.attempts.length > 0);
+        if (!inFlight) continue;
+        try {
+          await broadcast(tx.attempts.at(-1).raw);
+        } catch (error) {
+          console.warn(`⚠️ Re-broadcasting transaction ${tx.id} failed:`, error.message);
+        }
+        save(tx.id, { status: "pending" });
+      }
+      // Stuck transactions are left as they are; their receipts are still polled
+      const count = (status) => transactions.values().filter((tx) => tx.status === status).length;
+      console.log(`🔵 Transaction queue started (${count("pending")} pending, ${count("stuck")} stuck)`);
+      sendQueued();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    // Queue `contract[method](...args)`. Resolves once it has been broadcast
+    // (status "pending") or could not be sent (status "failed"), or still
+    // queued after `timeoutMs`.
+    submit(method, args, { wallet = null, timeoutMs = WAIT_MS } = {}) {
+      const id = crypto.randomUUID();
+      const now = new Date().toISOString();
+      transactions.set(id, {
+        id,
+        method,
+        args: args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+        wallet,
+        status: "queued",
+        nonce: null,
+        hash: null,
+        attempts: [],
+        receipt: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      sendQueued();
+      return waitUntil(id, (current) => current.status !== "queued", timeoutMs);
+    },
+
+    // Resolves with the transaction once it is mined, failed or stuck, or as
+    // it is (queued or pending) after `timeoutMs`
+    wait(id, { timeoutMs = WAIT_MS } = {}) {
+      return waitUntil(id, (tx) => SETTLED.includes(tx.status), timeoutMs);
+    },
+
+    get(id) {
+      return transactions.get(id);
+    },
+
+    // The newest transaction calling `method` for `wallet` that has not
+    // failed, or null: one a caller may have submitted before it stopped
+    findSent(method, { wallet }) {
+      return (
+        transactions
+          .values()
+          .filter((tx) => tx.method === method && tx.wallet === wallet && tx.status !== "failed")
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] ?? null
+      );
+    },
+  };
+}
+
+// Build the transaction status route
+export function createTransactionRouter({ transactions: manager }) {
+  const router = express.Router();
+
+  // A queued transaction: queued, pending, stuck, mined (with the receipt) or failed
+  router.get("/api/tx/:id", (req, res) => {
+    const tx = manager.get(req.params.id);
+    if (!tx) {
+      return res.status(404).json({ success: false, error: "Transaction not found" });
+    }
+    return res.json({ success: true, tx: publicTransaction(tx) });
+  });
+
+  return router;
+}